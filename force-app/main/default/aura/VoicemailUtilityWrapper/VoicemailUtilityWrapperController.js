@@ -1,10 +1,29 @@
 ({
-    handleVoicemailCount: function (component, event, helper) {
+    doInit: function (component) {
+        if (!component.get("v.allowPopOut")) {
+            component.find("utilityBar").disableUtilityPopOut({
+                disabled: true,
+                disabledText: 'Pop-out is turned off for Voicemail'
+            });
+        }
+    },
+
+    handleVoicemailCount: function (component, event) {
         var count = event.getParam('count');
         var utilityAPI = component.find("utilityBar");
         var label = count > 0 ? 'Voicemail (' + count + ')' : 'Voicemail';
 
+        component.set("v.unreadCount", count);
         utilityAPI.setUtilityLabel({ label: label });
         utilityAPI.setUtilityHighlighted({ highlighted: count > 0 });
+    },
+
+    handleNewVoicemail: function (component, event, helper) {
+        var action = component.get("v.newVoicemailAction");
+        if (action === 'open') {
+            helper.openAndReveal(component, event.getParam('voicemailId'));
+        } else if (action === 'flash') {
+            helper.flashUtility(component);
+        }
     }
 })
@@ -0,0 +1,36 @@
+({
+    FLASH_TOGGLES: 6,
+    FLASH_INTERVAL_MS: 400,
+
+    // Falls back to flashing when the utility cannot be opened, for example while it is popped out
+    openAndReveal: function (component, voicemailId) {
+        var helper = this;
+        component.find("utilityBar").openUtility()
+            .then($A.getCallback(function () {
+                component.find("voicemailViewer").revealVoicemail(voicemailId);
+            }))
+            .catch($A.getCallback(function () {
+                helper.flashUtility(component);
+            }));
+    },
+
+    // Toggles the highlight a few times, then leaves it matching the unread count
+    flashUtility: function (component) {
+        var helper = this;
+        var utilityAPI = component.find("utilityBar");
+        var toggles = 0;
+
+        clearInterval(component._flashIntervalId);
+        component._flashIntervalId = setInterval($A.getCallback(function () {
+            toggles++;
+            if (!component.isValid() || toggles > helper.FLASH_TOGGLES) {
+                clearInterval(component._flashIntervalId);
+                if (component.isValid()) {
+                    utilityAPI.setUtilityHighlighted({ highlighted: component.get("v.unreadCount") > 0 });
+                }
+                return;
+            }
+            utilityAPI.setUtilityHighlighted({ highlighted: toggles % 2 === 1 });
+        }), helper.FLASH_INTERVAL_MS);
+    }
+})
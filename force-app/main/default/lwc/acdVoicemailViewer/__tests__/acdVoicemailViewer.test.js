@@ -1,25 +1,240 @@
 import { createElement } from '@lwc/engine-dom';
 import AcdVoicemailViewer from 'c/acdVoicemailViewer';
+import { getRecord } from 'lightning/uiRecordApi';
+import { subscribeToTopics } from 'c/genesysCloudClient';
+
+jest.mock('c/genesysCloudClient', () => ({
+    ...jest.requireActual('c/genesysCloudClient'),
+    subscribeToTopics: jest.fn()
+}));
+
+const CALLBACK_RECORD = {
+    fields: {
+        CallType: { value: 'Callback' },
+        VendorCallKey: { value: 'org:conversation-1:extra' }
+    }
+};
+
+function mockResponse(body) {
+    return Promise.resolve({
+        ok: true,
+        status: 200,
+        headers: new Headers(),
+        text: () => Promise.resolve(JSON.stringify(body))
+    });
+}
+
+function flushPromises() {
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+// Card content is rendered inside each c-voicemail-card
+function queryCards(element, selector) {
+    return Array.from(element.shadowRoot.querySelectorAll('c-voicemail-card'))
+        .flatMap(card => Array.from(card.shadowRoot.querySelectorAll(selector)));
+}
+
+function queryCard(element, selector) {
+    return queryCards(element, selector)[0] || null;
+}
+
+const VOICEMAIL_DETAILS = {
+    'vm-1': { id: 'vm-1', callerAddress: 'tel:+13175550100', createdDate: '2026-03-02T09:00:00Z', read: false, note: '' },
+    'vm-2': { id: 'vm-2', callerAddress: 'tel:+13175550100', createdDate: '2026-03-02T10:00:00Z', read: true, note: 'Second try' }
+};
 
 describe('c-acd-voicemail-viewer', () => {
+    let conversation;
+    let topicSubscription;
+    let unsubscribe;
+
+    beforeEach(() => {
+        localStorage.setItem('genesyscloud_access_token', 'token');
+        localStorage.setItem('genesyscloud_token_expiration', String(Date.now() + 3600 * 1000));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        topicSubscription = null;
+        unsubscribe = jest.fn();
+        subscribeToTopics.mockReset();
+        subscribeToTopics.mockImplementation((options) => {
+            topicSubscription = options;
+            return { unsubscribe };
+        });
+        global.WebSocket = jest.fn();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        global.fetch = jest.fn((url, options) => {
+            if (url.endsWith('/conversations/conversation-1')) return mockResponse(conversation);
+            if (url.includes('/media')) return mockResponse({ mediaFileUri: `https://media/${url.split('/')[7]}.wav` });
+            if (options.method === 'PATCH') return mockResponse({});
+            if (url.includes('/voicemail/messages/')) return mockResponse(VOICEMAIL_DETAILS[url.split('/').pop()]);
+            return mockResponse({});
+        });
+    });
+
     afterEach(() => {
-        // The jsdom instance is shared across test cases in a single file so reset the DOM
         while (document.body.firstChild) {
             document.body.removeChild(document.body.firstChild);
         }
+        localStorage.clear();
+        delete global.fetch;
+        delete global.WebSocket;
+        jest.restoreAllMocks();
     });
 
-    it('TODO: test case generated by CLI command, please fill in test logic', () => {
-        // Arrange
-        const element = createElement('c-acd-voicemail-viewer', {
-            is: AcdVoicemailViewer
+    async function createViewer(properties = {}, record = CALLBACK_RECORD) {
+        const element = createElement('c-acd-voicemail-viewer', { is: AcdVoicemailViewer });
+        element.recordId = '0LQ000000000001';
+        Object.assign(element, properties);
+        document.body.appendChild(element);
+        getRecord.emit(record);
+        await flushPromises();
+        return element;
+    }
+
+    it('plays the voicemail straight away when it is already attached', async () => {
+        conversation = { id: 'conversation-1', participants: [{ purpose: 'customer' }, { voicemail: { id: 'vm-1' } }] };
+
+        const element = await createViewer();
+
+        expect(queryCard(element, 'c-voicemail-audio-player').src).toBe('https://media/vm-1.wav');
+        expect(subscribeToTopics).not.toHaveBeenCalled();
+    });
+
+    it('waits for the conversation event when no voicemail is attached yet', async () => {
+        conversation = { id: 'conversation-1', participants: [{ purpose: 'customer' }] };
+
+        const element = await createViewer();
+        expect(element.shadowRoot.querySelector('.waiting-for-voicemail')).not.toBeNull();
+        expect(queryCard(element, 'c-voicemail-audio-player')).toBeNull();
+
+        expect(subscribeToTopics).toHaveBeenCalledTimes(1);
+        expect(topicSubscription.topics).toEqual(['v2.conversations.conversation-1']);
+
+        // Events for other conversations are ignored
+        topicSubscription.onMessage({
+            topicName: 'v2.conversations.conversation-2',
+            eventBody: { id: 'conversation-2', participants: [{ voicemail: { id: 'vm-2', uploadStatus: 'complete' } }] }
         });
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.waiting-for-voicemail')).not.toBeNull();
 
-        // Act
-        document.body.appendChild(element);
+        topicSubscription.onMessage({
+            topicName: 'v2.conversations.conversation-1',
+            eventBody: { id: 'conversation-1', participants: [{ voicemail: { id: 'vm-1', uploadStatus: 'complete' } }] }
+        });
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.waiting-for-voicemail')).toBeNull();
+        expect(queryCard(element, 'c-voicemail-audio-player').src).toBe('https://media/vm-1.wav');
+        expect(unsubscribe).toHaveBeenCalled();
+        expect(global.WebSocket).not.toHaveBeenCalled();
+    });
+
+    it('checks the conversation again once its topic is live', async () => {
+        conversation = { id: 'conversation-1', participants: [{ purpose: 'customer' }] };
+        const element = await createViewer();
+
+        conversation = { id: 'conversation-1', participants: [{ voicemail: { id: 'vm-1', uploadStatus: 'complete' } }] };
+        topicSubscription.onReady();
+        await flushPromises();
+
+        expect(queryCard(element, 'c-voicemail-audio-player').src).toBe('https://media/vm-1.wav');
+        expect(unsubscribe).toHaveBeenCalled();
+    });
+
+    it('shows voicemails on inbound calls when the call type is configured', async () => {
+        conversation = { id: 'conversation-1', participants: [{ purpose: 'customer' }, { voicemail: { id: 'vm-1' } }] };
+        const inboundRecord = { fields: { ...CALLBACK_RECORD.fields, CallType: { value: 'Inbound' } } };
+
+        const hidden = await createViewer({}, inboundRecord);
+        expect(hidden.shadowRoot.querySelector('c-voicemail-audio-player')).toBeNull();
+        document.body.removeChild(hidden);
+
+        const element = await createViewer({ callTypes: 'Callback, inbound' }, inboundRecord);
+        expect(queryCard(element, 'c-voicemail-audio-player').src).toBe('https://media/vm-1.wav');
+    });
+
+    it('reads the conversation id from a JSON VendorCallKey', async () => {
+        conversation = { id: 'conversation-1', participants: [{ purpose: 'customer' }, { voicemail: { id: 'vm-1' } }] };
+        const jsonRecord = {
+            fields: { ...CALLBACK_RECORD.fields, VendorCallKey: { value: '{"conversationId":"conversation-1"}' } }
+        };
+
+        const element = await createViewer({ vendorCallKeyFormat: 'json' }, jsonRecord);
+
+        expect(global.fetch.mock.calls.some(([url]) => url.endsWith('/api/v2/conversations/conversation-1'))).toBe(true);
+        expect(queryCard(element, 'c-voicemail-audio-player').src).toBe('https://media/vm-1.wav');
+    });
+
+    it('shows the error when the conversation cannot be loaded', async () => {
+        const defaultFetch = global.fetch.getMockImplementation();
+        global.fetch.mockImplementation((url, options) => (url.endsWith('/conversations/conversation-1')
+            ? Promise.resolve({
+                ok: false,
+                status: 404,
+                headers: new Headers(),
+                text: () => Promise.resolve(JSON.stringify({ message: 'Conversation not found' }))
+            })
+            : defaultFetch(url, options)));
+
+        const element = await createViewer();
+
+        expect(element.shadowRoot.querySelector('lightning-card')).not.toBeNull();
+        expect(element.shadowRoot.querySelector('.slds-alert_error').textContent).toContain('Conversation not found');
+    });
+
+    it('stops listening when the record is closed', async () => {
+        conversation = { id: 'conversation-1', participants: [{ purpose: 'customer' }] };
+        const element = await createViewer();
+
+        document.body.removeChild(element);
+
+        expect(unsubscribe).toHaveBeenCalled();
+    });
+
+    it('lists every voicemail on a transferred callback, newest first', async () => {
+        conversation = {
+            id: 'conversation-1',
+            participants: [
+                { purpose: 'customer' },
+                { purpose: 'acd', voicemail: { id: 'vm-1', uploadStatus: 'complete' } },
+                { purpose: 'agent', callbacks: [{ voicemail: { id: 'vm-2' } }] }
+            ]
+        };
+
+        const element = await createViewer();
+
+        const cards = element.shadowRoot.querySelectorAll('[data-card-id]');
+        expect(Array.from(cards).map(card => card.dataset.cardId)).toEqual(['vm-2', 'vm-1']);
+        expect(queryCards(element, '.participant-purpose').map(badge => badge.textContent))
+            .toEqual(['Agent', 'ACD']);
+        expect(queryCards(element, 'c-voicemail-audio-player')).toHaveLength(1);
+        expect(subscribeToTopics).not.toHaveBeenCalled();
+    });
+
+    it('marks a voicemail read and saves notes from its card', async () => {
+        conversation = { id: 'conversation-1', participants: [{ voicemail: { id: 'vm-1' } }] };
+        const element = await createViewer();
+
+        element.shadowRoot.querySelector('.toggle-read-btn').click();
+        await flushPromises();
+
+        const patches = () => global.fetch.mock.calls.filter(([, options]) => options.method === 'PATCH');
+        expect(patches()[0][0]).toContain('/api/v2/voicemail/messages/vm-1');
+        expect(JSON.parse(patches()[0][1].body)).toEqual({ read: true });
+        expect(queryCard(element, '.unread-badge')).toBeNull();
+
+        queryCard(element, '.edit-note-btn').click();
+        await flushPromises();
+        const textarea = queryCard(element, 'lightning-textarea');
+        textarea.value = 'Called back';
+        textarea.dispatchEvent(new CustomEvent('change'));
+        queryCards(element, 'lightning-button')
+            .find(button => button.label === 'Save')
+            .click();
+        await flushPromises();
 
-        // Assert
-        // const div = element.shadowRoot.querySelector('div');
-        expect(1).toBe(1);
+        expect(JSON.parse(patches()[1][1].body)).toEqual({ note: 'Called back' });
+        expect(queryCard(element, 'lightning-textarea')).toBeNull();
     });
-});
\ No newline at end of file
+});
@@ -2,158 +2,146 @@ import { LightningElement, track, api, wire } from 'lwc';
 import { getRecord } from 'lightning/uiRecordApi';
 import VendorCallKey from '@salesforce/schema/VoiceCall.VendorCallKey';
 import CallType from '@salesforce/schema/VoiceCall.CallType';
+import {
+    configureAuthSession,
+    onSessionLost,
+    getAccessToken,
+    getValidAccessToken,
+    withAccessToken,
+    login,
+    callGenesysCloudApi,
+    subscribeToTopics,
+    getConversationTopic,
+    AUDIO_FORMAT_AUTO,
+    resolveAudioFormat,
+    getMediaEndpoint,
+    VENDOR_CALL_KEY_AUTO,
+    parseVendorCallKey,
+    findConversationVoicemails,
+    formatParticipantPurpose,
+    formatDuration,
+    formatDate,
+    getRelativeTime,
+    getCardClass,
+    getTranscriptText
+} from 'c/genesysCloudClient';
+
+const DEFAULT_CALL_TYPES = 'Callback';
 
 export default class AcdVoicemailViewer extends LightningElement {
     @api recordId;
     @track conversationId = '';
     @track CallType;
-    @track audioUrl = null;
+    @track voicemails = [];
     @track errorMessage = null;
     @track isLoading = false;
     @track isAuthenticated = false;
     @track hasVoicemail = false;
+    @track isWaitingForVoicemail = false;
     
     // Configurable properties
     @api genesysCloudRegion = 'mypurecloud.com';
     @api genesysCloudClientId;
+    @api audioFormat = AUDIO_FORMAT_AUTO;
+    @api callTypes = DEFAULT_CALL_TYPES;
+    @api vendorCallKeyFormat = VENDOR_CALL_KEY_AUTO;
     
     get shouldShowCard() {
-        return this.CallType=="Callback" && (!this.isAuthenticated || this.hasVoicemail);
+        return this.isSupportedCallType &&
+            (!this.isAuthenticated || this.hasVoicemail || this.isWaitingForVoicemail || !!this.errorMessage);
+    }
+
+    // callTypes is a comma-separated list of VoiceCall CallType values, matched case-insensitively
+    get isSupportedCallType() {
+        if (!this.CallType) return false;
+        const callTypes = (this.callTypes || DEFAULT_CALL_TYPES).split(',').map(type => type.trim().toLowerCase());
+        return callTypes.includes(this.CallType.toLowerCase());
     }
     
+    get showWaitingMessage() {
+        return this.isWaitingForVoicemail && !this.hasVoicemail;
+    }
+
+    get showUploadingMessage() {
+        return this.isWaitingForVoicemail && this.hasVoicemail;
+    }
+
     @wire(getRecord, { recordId: '$recordId', fields: [VendorCallKey, CallType] })
     wiredVoiceCall(result) {
         this.VoiceCall = result;
         if (result.data) {
             this.CallType = result.data.fields.CallType.value;
             
-            if (this.isAuthenticated && this.CallType === 'Callback') {
-                this.conversationId = this.parseValueBetweenColons(result.data.fields.VendorCallKey.value);
-                // Add a two-second pause before retrieving voicemail
-                setTimeout(() => {
-                    this.handleRetrieveVoicemail();
-                }, 2000);
+            if (this.isAuthenticated && this.isSupportedCallType) {
+                this.conversationId = this.parseConversationId(result.data.fields.VendorCallKey.value);
+                this.handleRetrieveVoicemail();
             }
         }
     }
     
     connectedCallback() {
-        // Check if we have a token already
-        const accessToken = this.getAccessToken();
-        this.isAuthenticated = !!accessToken;
-    }
-    
-    setupAuthListener() {
-        window.addEventListener('message', async (event) => {
-            if (!this.isValidAuthEvent(event)) {
-                return;
-            }
-            
-            try {
-                await this.processAuthCallback(event.data);
-            } catch (error) {
-                console.error('Error processing auth callback message:', error);
-                this.errorMessage = 'Failed to complete authentication';
-            }
+        this.mediaFormatId = resolveAudioFormat(this.audioFormat);
+        configureAuthSession(this.genesysCloudClientId, this.genesysCloudRegion);
+        this.unsubscribeSessionLost = onSessionLost(() => {
+            this.isAuthenticated = false;
+            this.stopWaitingForVoicemail();
         });
+
+        // Check if we have a token already
+        this.isAuthenticated = !!getAccessToken();
+        if (!this.isAuthenticated) {
+            this.restoreSession();
+        }
     }
-    
-    isValidAuthEvent(event) {
-        return event.origin === window.location.origin &&
-               event.data &&
-               event.data.type === 'GENESYS_AUTH_CALLBACK' &&
-               event.data.code;
-    }
-    
-    async processAuthCallback(data) {
-        const accessToken = await this.exchangeCodeForToken(data.code);
-        if (!accessToken) {
-            return;
+
+    disconnectedCallback() {
+        if (this.unsubscribeSessionLost) {
+            this.unsubscribeSessionLost();
         }
-        
-        this.isAuthenticated = true;
-        
-        if (this.shouldProcessVoicemail()) {
-            this.processVoicemailAfterAuth();
+        this.stopWaitingForVoicemail();
+    }
+
+    async restoreSession() {
+        const accessToken = await getValidAccessToken();
+        if (accessToken) {
+            this.isAuthenticated = true;
+            if (this.shouldProcessVoicemail()) {
+                this.processVoicemailAfterAuth();
+            }
         }
     }
     
     shouldProcessVoicemail() {
-        return this.VoiceCall?.data && this.CallType === 'Callback';
+        return this.VoiceCall?.data && this.isSupportedCallType;
     }
     
     processVoicemailAfterAuth() {
-        this.conversationId = this.parseValueBetweenColons(this.VoiceCall.data.fields.VendorCallKey.value);
-        setTimeout(() => {
-            this.handleRetrieveVoicemail();
-        }, 2000);
+        this.conversationId = this.parseConversationId(this.VoiceCall.data.fields.VendorCallKey.value);
+        this.handleRetrieveVoicemail();
     }
     
-    handleAuthCallback() {
-        try {
-            // Parse the URL hash fragment
-            const fragmentParams = new URLSearchParams(window.location.hash.substring(1));
-            const accessToken = fragmentParams.get('access_token');
-            const expiresIn = fragmentParams.get('expires_in');
-            
-            if (accessToken) {
-                // Store the token
-                localStorage.setItem('genesyscloud_access_token', accessToken);
-                
-                // Calculate and store expiration time
-                const expirationTime = Date.now() + (parseInt(expiresIn, 10) * 1000);
-                localStorage.setItem('genesyscloud_token_expiration', expirationTime.toString());
-                
-                this.isAuthenticated = true;
-                
-                // Clean up the URL
-                history.replaceState(null, document.title, window.location.pathname + window.location.search);
-            }
-        } catch (error) {
-            console.error('Error handling authentication callback:', error);
-            this.errorMessage = 'Failed to complete authentication';
-        }
+    parseConversationId(vendorCallKey) {
+        return parseVendorCallKey(vendorCallKey, this.vendorCallKeyFormat);
     }
-    
+
     async handleLogin() {
-        const codeVerifier = this.generateCodeVerifier();
-        const codeChallenge = await this.generateCodeChallenge(codeVerifier);
-        
-        sessionStorage.setItem('pkce_code_verifier', codeVerifier);
-        
-        const redirectUri = encodeURIComponent(window.location.origin + '/resource/GenesysAuthCallback');
-        const authUrl = `https://login.${this.genesysCloudRegion}/oauth/authorize` +
-            `?client_id=${this.genesysCloudClientId}` +
-            `&response_type=code` +
-            `&redirect_uri=${redirectUri}` +
-            `&scope=conversations voicemail` +
-            `&code_challenge=${codeChallenge}` +
-            `&code_challenge_method=S256`;
-        
-        const width = 600;
-        const height = 700;
-        const left = (screen.width/2)-(width/2);
-        const top = (screen.height/2)-(height/2);
-        
-        const authWindow = window.open(
-            authUrl,
-            'GenesysCloudAuth', 
-            `width=${width},height=${height},left=${left},top=${top}`
-        );
-        
-        this.setupAuthListener();
-        
-        if (!authWindow || authWindow.closed || typeof authWindow.closed === 'undefined') {
-            this.errorMessage = 'Popup blocked. Please allow popups for this site.';
+        try {
+            await login();
+        } catch (error) {
+            console.error('Login error:', error);
+            this.errorMessage = error.message || 'Failed to complete authentication';
+            return;
         }
-    }
 
-    handleConversationIdChange(event) {
-        this.conversationId = this.parseValueBetweenColons(this.VoiceCall.data.fields.VendorCallKey.value);
+        this.isAuthenticated = true;
+
+        if (this.shouldProcessVoicemail()) {
+            this.processVoicemailAfterAuth();
+        }
     }
 
     async handleRetrieveVoicemail() {
-        if (this.hasVoicemail)
+        if (this.hasVoicemail && !this.isWaitingForVoicemail)
             return;
         
         if (!this.VoiceCall) {
@@ -162,7 +150,7 @@ export default class AcdVoicemailViewer extends LightningElement {
         }
 
         if (this.VoiceCall.data.fields.VendorCallKey)
-            this.conversationId = this.parseValueBetweenColons(this.VoiceCall.data.fields.VendorCallKey.value);
+            this.conversationId = this.parseConversationId(this.VoiceCall.data.fields.VendorCallKey.value);
 
         if (!this.conversationId) {
             this.errorMessage = 'No Conversation ID found in this record';
@@ -172,54 +160,21 @@ export default class AcdVoicemailViewer extends LightningElement {
         try {
             this.isLoading = true;
             this.errorMessage = null;
-            this.audioUrl = null;
-
-            // Get the cached token from browser storage
-            const accessToken = this.getAccessToken();
-            if (!accessToken) {
-                // Trigger login flow if no token
-                this.handleLogin();
-                return;
-            }
 
-            // Step 1: Get voicemail ID from conversation
-            const conversationResponse = await this.callGenesysCloudApi(
-                `/api/v2/conversations/callbacks/${this.conversationId}`,
+            const conversationResponse = await withAccessToken((accessToken) => callGenesysCloudApi(
+                `/api/v2/conversations/${this.conversationId}`,
                 'GET',
                 null,
-                accessToken
-            );
+                accessToken,
+                this.genesysCloudRegion
+            ));
 
-            if (!conversationResponse || !conversationResponse.participants[0].voicemail.id) {
+            if (!conversationResponse) {
                 throw new Error('No voicemail found for this conversation');
             }
 
-            const voicemailId = conversationResponse.participants[0].voicemail.id;
-
-            // Step 3: Get media URL
-            const mediaResponse = await this.callGenesysCloudApi(
-                `/api/v2/voicemail/messages/${voicemailId}/media?formatId=WAV`,
-                'GET',
-                null,
-                accessToken
-            );
-
-            if (!mediaResponse || !mediaResponse.mediaFileUri) {
-                throw new Error('Failed to retrieve voicemail audio');
-            }
-
-            this.audioUrl = mediaResponse.mediaFileUri;
-            this.hasVoicemail = true;
+            await this.showConversationVoicemails(conversationResponse);
         } catch (error) {
-            // Check if error is due to invalid token
-            if (error.message && error.message.includes('401')) {
-                localStorage.removeItem('genesyscloud_access_token');
-                localStorage.removeItem('genesyscloud_token_expiration');
-                this.isAuthenticated = false;
-                this.handleLogin();
-                return;
-            }
-            
             this.errorMessage = error.message || 'An error occurred while retrieving the voicemail';
             console.error('Voicemail retrieval error:', error);
         } finally {
@@ -227,134 +182,268 @@ export default class AcdVoicemailViewer extends LightningElement {
         }
     }
 
-    getAccessToken() {
-        const token = localStorage.getItem('genesyscloud_access_token');
-        const expiration = localStorage.getItem('genesyscloud_token_expiration');
-        
-        // Check if token exists and is not expired
-        if (token && expiration) {
-            const now = Date.now();
-            if (now < parseInt(expiration, 10)) {
-                return token;
-            } else {
-                // Token expired, clear it
-                localStorage.removeItem('genesyscloud_access_token');
-                localStorage.removeItem('genesyscloud_token_expiration');
-                this.isAuthenticated = false;
+    /**
+     * Adds a card for every uploaded voicemail on the conversation that is not shown yet.
+     * Voicemails are attached after the call or callback is created and can still be uploading,
+     * so the conversation is watched until none are left to wait for.
+     */
+    async showConversationVoicemails(conversation) {
+        const found = findConversationVoicemails(conversation);
+        const shownIds = new Set(this.voicemails.map(vm => vm.id));
+        const newVoicemails = found.filter(vm => vm.isUploaded && !shownIds.has(vm.id));
+
+        if (newVoicemails.length) {
+            const cards = await Promise.all(newVoicemails.map(vm => this.loadVoicemailCard(vm)));
+            this.voicemails = [...this.voicemails, ...cards]
+                .sort((a, b) => new Date(b.sortTime || 0) - new Date(a.sortTime || 0));
+            this.hasVoicemail = true;
+            if (!this.voicemails.some(vm => vm.isExpanded)) {
+                await this.setExpanded(this.voicemails[0].id, true);
             }
         }
-        
-        return null;
+
+        if (!this.hasVoicemail || found.some(vm => !vm.isUploaded)) {
+            this.waitForVoicemail();
+        } else {
+            this.stopWaitingForVoicemail();
+        }
     }
 
-    async callGenesysCloudApi(endpoint, method, body, accessToken) {
+    // The card still shows what the conversation says about the voicemail when its details cannot be read
+    async loadVoicemailCard(conversationVoicemail) {
+        let details = {};
         try {
-            const url = `https://api.${this.genesysCloudRegion}` + endpoint;
-            const options = {
-                method: method,
-                headers: {
-                    'Authorization': `Bearer ${accessToken}`,
-                    'Content-Type': 'application/json'
-                }
-            };
-            
-            if (body && (method === 'POST' || method === 'PUT' || method === 'PATCH')) {
-                options.body = JSON.stringify(body);
-            }
-            
-            const response = await fetch(url, options);
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`API error (${response.status}): ${errorText}`);
+            details = await withAccessToken((accessToken) => callGenesysCloudApi(
+                `/api/v2/voicemail/messages/${conversationVoicemail.id}`,
+                'GET',
+                null,
+                accessToken,
+                this.genesysCloudRegion
+            )) || {};
+        } catch (error) {
+            console.error('Voicemail details error:', error);
+        }
+        return this.mapVoicemailData(conversationVoicemail, details);
+    }
+
+    mapVoicemailData(conversationVoicemail, details) {
+        const read = details.read || false;
+        const createdDate = details.createdDate || conversationVoicemail.startTime;
+        const transcript = getTranscriptText(details);
+        return {
+            id: conversationVoicemail.id,
+            callerAddress: details.callerAddress || conversationVoicemail.participantName || '',
+            purposeLabel: formatParticipantPurpose(conversationVoicemail.purpose),
+            sortTime: createdDate,
+            formattedDate: formatDate(createdDate),
+            relativeTime: getRelativeTime(createdDate),
+            formattedDuration: formatDuration(details.audioRecordingDurationSeconds),
+            transcript,
+            note: details.note || '',
+            originalNote: details.note || '',
+            audioUrl: null,
+            mediaRetried: false,
+            isExpanded: false,
+            isEditing: false,
+            isSaving: false,
+            actionError: null,
+            ...this.getReadState(read, false)
+        };
+    }
+
+    getReadState(read, isExpanded) {
+        return {
+            read,
+            cardClass: getCardClass(read, isExpanded),
+            callerClass: read ? 'read-text' : 'unread-text',
+            readLabel: read ? 'Mark as Unread' : 'Mark as Read'
+        };
+    }
+
+    updateCard(voicemailId, changes) {
+        this.voicemails = this.voicemails.map(vm => (vm.id === voicemailId ? { ...vm, ...changes } : vm));
+    }
+
+    handleCardClick(event) {
+        const voicemailId = event.currentTarget.dataset.id;
+        const voicemail = this.voicemails.find(vm => vm.id === voicemailId);
+        if (voicemail) {
+            this.setExpanded(voicemailId, !voicemail.isExpanded);
+        }
+    }
+
+    handleStopPropagation(event) {
+        event.stopPropagation();
+    }
+
+    async setExpanded(voicemailId, isExpanded) {
+        const voicemail = this.voicemails.find(vm => vm.id === voicemailId);
+        if (!voicemail) return;
+        this.updateCard(voicemailId, { isExpanded, cardClass: getCardClass(voicemail.read, isExpanded) });
+        if (isExpanded && !voicemail.audioUrl) {
+            try {
+                await this.loadVoicemailAudio(voicemailId);
+            } catch (error) {
+                console.error('Voicemail audio error:', error);
+                this.updateCard(voicemailId, { actionError: error.message || 'Failed to load audio' });
             }
-            
-            return await response.json();
+        }
+    }
+
+    async loadVoicemailAudio(voicemailId) {
+        const mediaResponse = await withAccessToken((accessToken) => callGenesysCloudApi(
+            getMediaEndpoint(voicemailId, this.mediaFormatId),
+            'GET',
+            null,
+            accessToken,
+            this.genesysCloudRegion
+        ));
+
+        if (!mediaResponse || !mediaResponse.mediaFileUri) {
+            throw new Error('Failed to retrieve voicemail audio');
+        }
+        this.updateCard(voicemailId, { audioUrl: mediaResponse.mediaFileUri });
+    }
+
+    // An expired media URL is replaced once; a second failure is shown on the card
+    async handleAudioError(event) {
+        const voicemailId = event.target.dataset.id;
+        const voicemail = this.voicemails.find(vm => vm.id === voicemailId);
+        if (!voicemail) return;
+        if (voicemail.mediaRetried) {
+            this.updateCard(voicemailId, { actionError: 'This voicemail could not be played' });
+            return;
+        }
+        this.updateCard(voicemailId, { mediaRetried: true });
+        try {
+            await this.loadVoicemailAudio(voicemailId);
         } catch (error) {
-            console.error('API call error:', error);
-            throw error;
+            this.updateCard(voicemailId, { actionError: error.message || 'An error occurred while retrieving the voicemail' });
         }
     }
 
-    formatDuration(durationMs) {
-        if (!durationMs) return 'Unknown';
-        
-        const seconds = Math.floor(durationMs / 1000);
-        const minutes = Math.floor(seconds / 60);
-        const remainingSeconds = seconds % 60;
-        
-        return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
+    handleAudioEnded(event) {
+        const voicemail = this.voicemails.find(vm => vm.id === event.target.dataset.id);
+        if (voicemail && !voicemail.read) {
+            this.updateVoicemail(voicemail.id, { read: true });
+        }
     }
-    
-    generateCodeVerifier() {
-        const array = new Uint8Array(32);
-        crypto.getRandomValues(array);
-        return btoa(String.fromCharCode.apply(null, array))
-            .replace(/\+/g, '-')
-            .replace(/\//g, '_')
-            .replace(/=/g, '');
-    }
-
-    async generateCodeChallenge(verifier) {
-        const encoder = new TextEncoder();
-        const data = encoder.encode(verifier);
-        const digest = await crypto.subtle.digest('SHA-256', data);
-        return btoa(String.fromCharCode.apply(null, new Uint8Array(digest)))
-            .replace(/\+/g, '-')
-            .replace(/\//g, '_')
-            .replace(/=/g, '');
-    }
-
-    async exchangeCodeForToken(authCode) {
+
+    handleToggleRead(event) {
+        event.stopPropagation();
+        const voicemail = this.voicemails.find(vm => vm.id === event.currentTarget.dataset.id);
+        if (voicemail) {
+            this.updateVoicemail(voicemail.id, { read: !voicemail.read });
+        }
+    }
+
+    handleEditNote(event) {
+        event.stopPropagation();
+        this.updateCard(event.currentTarget.dataset.id, { isEditing: true });
+    }
+
+    handleNoteChange(event) {
+        const voicemail = this.voicemails.find(vm => vm.id === event.target.dataset.id);
+        if (voicemail) {
+            voicemail.note = event.detail.value;
+        }
+    }
+
+    handleSaveNote(event) {
+        event.stopPropagation();
+        const voicemail = this.voicemails.find(vm => vm.id === event.currentTarget.dataset.id);
+        if (voicemail) {
+            this.updateCard(voicemail.id, { isEditing: false });
+            this.updateVoicemail(voicemail.id, { note: voicemail.note });
+        }
+    }
+
+    handleCancelEdit(event) {
+        event.stopPropagation();
+        const voicemail = this.voicemails.find(vm => vm.id === event.currentTarget.dataset.id);
+        if (voicemail) {
+            this.updateCard(voicemail.id, { isEditing: false, note: voicemail.originalNote });
+        }
+    }
+
+    /**
+     * Shows the change straight away and rolls it back with a card error if Genesys Cloud rejects it,
+     * the same way the voicemail inbox does
+     */
+    async updateVoicemail(voicemailId, updates) {
+        const previous = this.voicemails.find(vm => vm.id === voicemailId);
+        if (!previous) return;
+
+        const changes = { isSaving: true, actionError: null };
+        if (updates.read !== undefined) {
+            Object.assign(changes, this.getReadState(updates.read, previous.isExpanded));
+        }
+        if (updates.note !== undefined) {
+            Object.assign(changes, { note: updates.note, originalNote: updates.note });
+        }
+        this.updateCard(voicemailId, changes);
+
         try {
-            const codeVerifier = sessionStorage.getItem('pkce_code_verifier');
-            if (!codeVerifier) {
-                throw new Error('Code verifier not found');
-            }
-            
-            const tokenResponse = await fetch(`https://login.${this.genesysCloudRegion}/oauth/token`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded'
-                },
-                body: new URLSearchParams({
-                    grant_type: 'authorization_code',
-                    client_id: this.genesysCloudClientId,
-                    code: authCode,
-                    redirect_uri: window.location.origin + '/resource/GenesysAuthCallback',
-                    code_verifier: codeVerifier
-                })
+            await withAccessToken((accessToken) => callGenesysCloudApi(
+                `/api/v2/voicemail/messages/${voicemailId}`,
+                'PATCH',
+                updates,
+                accessToken,
+                this.genesysCloudRegion
+            ));
+            this.updateCard(voicemailId, { isSaving: false });
+        } catch (error) {
+            console.error('Voicemail update error:', error);
+            const action = updates.note !== undefined ? 'Could not save note' : 'Could not update voicemail';
+            this.updateCard(voicemailId, {
+                ...this.getReadState(previous.read, previous.isExpanded),
+                note: previous.originalNote,
+                originalNote: previous.originalNote,
+                isSaving: false,
+                actionError: `${action}: ${error.message}`
             });
-            
-            if (!tokenResponse.ok) {
-                throw new Error('Token exchange failed');
+        }
+    }
+
+    /**
+     * Listens for events on this conversation until a voicemail is attached, through the
+     * notification connection shared with every other viewer. The conversation is checked again
+     * each time its topic is live, so a voicemail attached before that is not missed.
+     */
+    waitForVoicemail() {
+        this.isWaitingForVoicemail = true;
+        if (this.conversationSubscription) return;
+
+        this.conversationSubscription = subscribeToTopics({
+            region: this.genesysCloudRegion,
+            topics: [getConversationTopic(this.conversationId)],
+            onMessage: (message) => this.handleConversationEvent(message),
+            onReady: () => {
+                if (this.isWaitingForVoicemail) {
+                    this.handleRetrieveVoicemail();
+                }
             }
-            
-            const tokenData = await tokenResponse.json();
-            
-            localStorage.setItem('genesyscloud_access_token', tokenData.access_token);
-            const expirationTime = Date.now() + (tokenData.expires_in * 1000);
-            localStorage.setItem('genesyscloud_token_expiration', expirationTime.toString());
-            
-            sessionStorage.removeItem('pkce_code_verifier');
-            
-            return tokenData.access_token;
-        } catch (error) {
-            console.error('Token exchange error:', error);
-            this.errorMessage = 'Failed to exchange authorization code for token';
-            return null;
+        });
+    }
+
+    stopWaitingForVoicemail() {
+        this.isWaitingForVoicemail = false;
+        if (this.conversationSubscription) {
+            this.conversationSubscription.unsubscribe();
+            this.conversationSubscription = null;
         }
     }
 
-    parseValueBetweenColons(inputString) {
-        if (!inputString) return null;
-        
-        const firstColonIndex = inputString.indexOf(':');
-        if (firstColonIndex === -1) return null;
-        
-        const secondColonIndex = inputString.indexOf(':', firstColonIndex + 1);
-        if (secondColonIndex === -1) return null;
-        
-        return inputString.substring(firstColonIndex + 1, secondColonIndex);
+    async handleConversationEvent(message) {
+        const conversation = message.eventBody;
+        if (!this.isWaitingForVoicemail || !conversation || conversation.id !== this.conversationId) return;
+
+        try {
+            this.errorMessage = null;
+            await this.showConversationVoicemails(conversation);
+        } catch (error) {
+            this.errorMessage = error.message || 'An error occurred while retrieving the voicemail';
+            console.error('Voicemail retrieval error:', error);
+        }
     }
-}
\ No newline at end of file
+}
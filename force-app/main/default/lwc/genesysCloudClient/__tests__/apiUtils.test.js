@@ -0,0 +1,177 @@
+import { callGenesysCloudApi, GenesysCloudApiError } from 'c/genesysCloudClient';
+
+function mockResponse(status, body, headers = {}) {
+    return Promise.resolve({
+        ok: status >= 200 && status < 300,
+        status,
+        headers: new Headers(headers),
+        text: () => Promise.resolve(typeof body === 'string' ? body : JSON.stringify(body))
+    });
+}
+
+describe('c-genesys-cloud-client API utilities', () => {
+    beforeEach(() => {
+        global.fetch = jest.fn();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        delete global.fetch;
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('sends authorized requests to the regional API host', async () => {
+        global.fetch.mockReturnValue(mockResponse(200, { id: 'user-id' }));
+
+        const result = await callGenesysCloudApi('/api/v2/users/me', 'GET', null, 'token', 'mypurecloud.ie');
+
+        expect(result).toEqual({ id: 'user-id' });
+        const [url, options] = global.fetch.mock.calls[0];
+        expect(url).toBe('https://api.mypurecloud.ie/api/v2/users/me');
+        expect(options.method).toBe('GET');
+        expect(options.headers.Authorization).toBe('Bearer token');
+        expect(options.body).toBeUndefined();
+    });
+
+    it('serializes the body for write requests', async () => {
+        global.fetch.mockReturnValue(mockResponse(200, {}));
+
+        await callGenesysCloudApi('/api/v2/voicemail/messages/vm-1', 'PATCH', { read: true }, 'token', 'mypurecloud.com');
+
+        expect(global.fetch.mock.calls[0][1].body).toBe('{"read":true}');
+    });
+
+    it('resolves to null for 204 and empty responses', async () => {
+        global.fetch
+            .mockReturnValueOnce(mockResponse(204, ''))
+            .mockReturnValueOnce(mockResponse(200, ''));
+
+        await expect(callGenesysCloudApi('/api/v2/a', 'DELETE', null, 'token', 'mypurecloud.com')).resolves.toBeNull();
+        await expect(callGenesysCloudApi('/api/v2/b', 'GET', null, 'token', 'mypurecloud.com')).resolves.toBeNull();
+    });
+
+    it('throws a typed error with the Genesys error code and correlation id', async () => {
+        global.fetch.mockReturnValue(mockResponse(
+            404,
+            { message: 'Voicemail not found', code: 'not.found', status: 404 },
+            { 'ININ-Correlation-Id': 'correlation-1' }
+        ));
+
+        const error = await callGenesysCloudApi('/api/v2/voicemail/messages/missing', 'GET', null, 'token', 'mypurecloud.com')
+            .catch((e) => e);
+
+        expect(error).toBeInstanceOf(GenesysCloudApiError);
+        expect(error.message).toBe('API error (404): Voicemail not found');
+        expect(error.status).toBe(404);
+        expect(error.code).toBe('not.found');
+        expect(error.correlationId).toBe('correlation-1');
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('retries rate-limited requests after the Retry-After delay', async () => {
+        jest.useFakeTimers();
+        global.fetch
+            .mockReturnValueOnce(mockResponse(429, { code: 'too.many.requests' }, { 'Retry-After': '2' }))
+            .mockReturnValueOnce(mockResponse(200, { results: [] }));
+
+        const result = callGenesysCloudApi('/api/v2/voicemail/search', 'POST', {}, 'token', 'mypurecloud.com');
+
+        await jest.advanceTimersByTimeAsync(1999);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        await jest.advanceTimersByTimeAsync(1);
+        await expect(result).resolves.toEqual({ results: [] });
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('gives up on server errors after the retry limit', async () => {
+        jest.useFakeTimers();
+        global.fetch.mockImplementation(() => mockResponse(503, 'Service Unavailable'));
+
+        const result = callGenesysCloudApi('/api/v2/users/me', 'GET', null, 'token', 'mypurecloud.com', { maxRetries: 2 })
+            .catch((e) => e);
+        await jest.runAllTimersAsync();
+        const error = await result;
+
+        expect(error.status).toBe(503);
+        expect(error.message).toBe('Genesys Cloud is temporarily unavailable. Please try again in a moment.');
+        expect(global.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('does not replay writes after a gateway error or timeout', async () => {
+        jest.useFakeTimers();
+        global.fetch
+            .mockReturnValueOnce(mockResponse(503, 'Service Unavailable'))
+            .mockImplementationOnce((url, options) => new Promise((resolve, reject) => {
+                options.signal.addEventListener('abort', () => {
+                    const abortError = new Error('The operation was aborted');
+                    abortError.name = 'AbortError';
+                    reject(abortError);
+                });
+            }));
+
+        const gatewayError = await callGenesysCloudApi('/api/v2/notifications/channels', 'POST', null, 'token', 'mypurecloud.com')
+            .catch((e) => e);
+        const timeout = callGenesysCloudApi('/api/v2/voicemail/messages/vm-1', 'PATCH', { read: true }, 'token', 'mypurecloud.com', { timeoutMs: 1000 })
+            .catch((e) => e);
+        await jest.advanceTimersByTimeAsync(1000);
+        const timeoutError = await timeout;
+        await jest.runAllTimersAsync();
+
+        expect(gatewayError.status).toBe(503);
+        expect(timeoutError.code).toBe('timeout');
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('retries writes the caller marks as idempotent', async () => {
+        jest.useFakeTimers();
+        global.fetch
+            .mockReturnValueOnce(mockResponse(503, 'Service Unavailable'))
+            .mockReturnValueOnce(mockResponse(200, { results: [] }));
+
+        const result = callGenesysCloudApi('/api/v2/voicemail/search', 'POST', {}, 'token', 'mypurecloud.com', { idempotent: true });
+        await jest.runAllTimersAsync();
+
+        await expect(result).resolves.toEqual({ results: [] });
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('stops listening to the caller signal once a retry delay has passed', async () => {
+        jest.useFakeTimers();
+        const controller = new AbortController();
+        const addListener = jest.spyOn(controller.signal, 'addEventListener');
+        const removeListener = jest.spyOn(controller.signal, 'removeEventListener');
+        global.fetch
+            .mockReturnValueOnce(mockResponse(503, 'Service Unavailable'))
+            .mockReturnValueOnce(mockResponse(200, {}));
+
+        const result = callGenesysCloudApi('/api/v2/users/me', 'GET', null, 'token', 'mypurecloud.com', { signal: controller.signal });
+        await jest.runAllTimersAsync();
+        await result;
+
+        const added = addListener.mock.calls.map(([, listener]) => listener);
+        const removed = removeListener.mock.calls.map(([, listener]) => listener);
+        expect(added).toHaveLength(3);
+        expect(removed).toEqual(expect.arrayContaining(added));
+    });
+
+    it('aborts requests that exceed the timeout', async () => {
+        jest.useFakeTimers();
+        global.fetch.mockImplementation((url, options) => new Promise((resolve, reject) => {
+            options.signal.addEventListener('abort', () => {
+                const abortError = new Error('The operation was aborted');
+                abortError.name = 'AbortError';
+                reject(abortError);
+            });
+        }));
+
+        const result = callGenesysCloudApi('/api/v2/users/me', 'GET', null, 'token', 'mypurecloud.com', { timeoutMs: 1000, maxRetries: 0 })
+            .catch((e) => e);
+        await jest.advanceTimersByTimeAsync(1000);
+        const error = await result;
+
+        expect(error).toBeInstanceOf(GenesysCloudApiError);
+        expect(error.code).toBe('timeout');
+    });
+});
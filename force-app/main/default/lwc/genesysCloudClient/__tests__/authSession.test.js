@@ -0,0 +1,100 @@
+describe('c-genesys-cloud-client auth session', () => {
+    let client;
+
+    function storeSession(expiresInSeconds, refreshToken) {
+        localStorage.setItem('genesyscloud_access_token', 'current-token');
+        localStorage.setItem('genesyscloud_token_expiration', (Date.now() + expiresInSeconds * 1000).toString());
+        if (refreshToken) {
+            localStorage.setItem('genesyscloud_refresh_token', refreshToken);
+        }
+    }
+
+    function mockTokenResponse(accessToken) {
+        return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve({ access_token: accessToken, expires_in: 3600 })
+        });
+    }
+
+    beforeEach(() => {
+        jest.resetModules();
+        localStorage.clear();
+        global.fetch = jest.fn();
+        client = require('c/genesysCloudClient');
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        delete global.fetch;
+    });
+
+    it('returns the stored token while it is still valid', async () => {
+        storeSession(3600);
+        client.configureAuthSession('client-id', 'mypurecloud.com');
+
+        await expect(client.getValidAccessToken()).resolves.toBe('current-token');
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('refreshes the token ahead of expiry with the refresh grant', async () => {
+        jest.useFakeTimers();
+        storeSession(600, 'refresh-token');
+        global.fetch.mockImplementation(() => mockTokenResponse('refreshed-token'));
+
+        client.configureAuthSession('client-id', 'mypurecloud.com');
+        await jest.advanceTimersByTimeAsync(5 * 60 * 1000);
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        const [url, options] = global.fetch.mock.calls[0];
+        expect(url).toBe('https://login.mypurecloud.com/oauth/token');
+        expect(options.body.get('grant_type')).toBe('refresh_token');
+        expect(options.body.get('refresh_token')).toBe('refresh-token');
+        expect(localStorage.getItem('genesyscloud_access_token')).toBe('refreshed-token');
+    });
+
+    it('shares one refresh between concurrent requests that get a 401', async () => {
+        storeSession(3600, 'refresh-token');
+        global.fetch.mockImplementation(() => mockTokenResponse('refreshed-token'));
+        client.configureAuthSession('client-id', 'mypurecloud.com');
+
+        const request = jest.fn((accessToken) => (accessToken === 'refreshed-token'
+            ? Promise.resolve(accessToken)
+            : Promise.reject(new client.GenesysCloudApiError('API error (401): Unauthorized', { status: 401 }))));
+
+        const results = await Promise.all([
+            client.withAccessToken(request),
+            client.withAccessToken(request)
+        ]);
+
+        expect(results).toEqual(['refreshed-token', 'refreshed-token']);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('notifies subscribers once when the session cannot be recovered', async () => {
+        storeSession(3600, 'refresh-token');
+        global.fetch.mockImplementation(() => Promise.resolve({ ok: false }));
+        client.configureAuthSession('client-id', 'mypurecloud.com');
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const listener = jest.fn();
+        client.onSessionLost(listener);
+
+        // Silent iframe re-authentication is rejected by the login server
+        const silentAuth = jest.spyOn(document.body, 'appendChild').mockImplementation((frame) => {
+            const state = new URL(frame.src).searchParams.get('state');
+            window.dispatchEvent(new MessageEvent('message', {
+                origin: window.location.origin,
+                data: { type: 'GENESYS_AUTH_CALLBACK', error: 'login_required', state }
+            }));
+            return frame;
+        });
+
+        const request = jest.fn(() => Promise.reject(new client.GenesysCloudApiError('API error (401): Unauthorized', { status: 401 })));
+        await expect(client.withAccessToken(request)).rejects.toThrow('401');
+        await expect(client.getValidAccessToken()).resolves.toBeNull();
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(localStorage.getItem('genesyscloud_access_token')).toBeNull();
+        silentAuth.mockRestore();
+    });
+});
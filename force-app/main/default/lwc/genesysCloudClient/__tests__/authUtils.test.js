@@ -0,0 +1,36 @@
+import { exchangeCodeForToken } from 'c/genesysCloudClient';
+
+describe('c-genesys-cloud-client auth utilities', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        sessionStorage.clear();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        global.fetch = jest.fn(() => Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve({ access_token: 'new-token', expires_in: 3600 })
+        }));
+    });
+
+    afterEach(() => {
+        delete global.fetch;
+        jest.restoreAllMocks();
+    });
+
+    it('sends the verifier of the login it is given', async () => {
+        sessionStorage.setItem('pkce_code_verifier', 'other-login-verifier');
+
+        await expect(exchangeCodeForToken('code', 'client-id', 'mypurecloud.com', 'verifier'))
+            .resolves.toBe('new-token');
+
+        expect(global.fetch.mock.calls[0][1].body.get('code_verifier')).toBe('verifier');
+        expect(sessionStorage.getItem('pkce_code_verifier')).toBe('other-login-verifier');
+    });
+
+    it('does not fall back to a stored verifier when none is given', async () => {
+        sessionStorage.setItem('pkce_code_verifier', 'other-login-verifier');
+
+        await expect(exchangeCodeForToken('code', 'client-id', 'mypurecloud.com')).resolves.toBeNull();
+
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+});
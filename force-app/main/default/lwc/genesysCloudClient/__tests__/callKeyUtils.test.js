@@ -0,0 +1,34 @@
+import { parseVendorCallKey, registerVendorCallKeyParser } from 'c/genesysCloudClient';
+
+const CONVERSATION_ID = '3f0c1e2a-8b7d-4c5e-9f10-112233445566';
+
+describe('c-genesys-cloud-client VendorCallKey parsers', () => {
+    it('reads colon-delimited, raw UUID and JSON keys in auto mode', () => {
+        expect(parseVendorCallKey(`org-1:${CONVERSATION_ID}:participant-1`)).toBe(CONVERSATION_ID);
+        expect(parseVendorCallKey(CONVERSATION_ID)).toBe(CONVERSATION_ID);
+        expect(parseVendorCallKey(`{"conversationId":"${CONVERSATION_ID}","queue":"Support"}`)).toBe(CONVERSATION_ID);
+        expect(parseVendorCallKey(`{"conversation":{"id":"${CONVERSATION_ID}"}}`)).toBe(CONVERSATION_ID);
+    });
+
+    it('only uses the configured format when one is set', () => {
+        expect(parseVendorCallKey(`prefix-${CONVERSATION_ID}`, 'uuid')).toBe(CONVERSATION_ID);
+        expect(parseVendorCallKey(CONVERSATION_ID, 'colon')).toBeNull();
+        expect(parseVendorCallKey('not json', 'json')).toBeNull();
+    });
+
+    it('uses registered parsers for custom layouts', () => {
+        registerVendorCallKeyParser('pipe', (key) => key.split('|')[1] || null);
+
+        expect(parseVendorCallKey('site|conversation-1', 'pipe')).toBe('conversation-1');
+        expect(parseVendorCallKey('site|conversation-1')).toBe('conversation-1');
+        expect(() => registerVendorCallKeyParser('broken')).toThrow();
+    });
+
+    it('returns null for empty keys and unknown formats', () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        expect(parseVendorCallKey(null)).toBeNull();
+        expect(parseVendorCallKey(CONVERSATION_ID, 'missing')).toBeNull();
+        jest.restoreAllMocks();
+    });
+});
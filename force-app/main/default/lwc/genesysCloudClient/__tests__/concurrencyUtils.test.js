@@ -0,0 +1,40 @@
+import { mapWithConcurrency } from 'c/genesysCloudClient';
+
+describe('c-genesys-cloud-client concurrency utilities', () => {
+    it('never runs more than the limit at once and keeps input order', async () => {
+        let running = 0;
+        let maxRunning = 0;
+        const worker = jest.fn(async (item) => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await Promise.resolve();
+            running--;
+            return item * 2;
+        });
+
+        const results = await mapWithConcurrency([1, 2, 3, 4, 5], 2, worker);
+
+        expect(maxRunning).toBe(2);
+        expect(worker).toHaveBeenCalledTimes(5);
+        expect(results.map((result) => result.value)).toEqual([2, 4, 6, 8, 10]);
+    });
+
+    it('reports failures per item without stopping the batch', async () => {
+        const failure = new Error('boom');
+        const results = await mapWithConcurrency(['a', 'b', 'c'], 3, (item) =>
+            (item === 'b' ? Promise.reject(failure) : Promise.resolve(item))
+        );
+
+        expect(results).toEqual([
+            { item: 'a', status: 'fulfilled', value: 'a' },
+            { item: 'b', status: 'rejected', reason: failure },
+            { item: 'c', status: 'fulfilled', value: 'c' }
+        ]);
+    });
+
+    it('resolves immediately for an empty batch', async () => {
+        const worker = jest.fn();
+        await expect(mapWithConcurrency([], 4, worker)).resolves.toEqual([]);
+        expect(worker).not.toHaveBeenCalled();
+    });
+});
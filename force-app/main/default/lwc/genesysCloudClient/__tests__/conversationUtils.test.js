@@ -0,0 +1,48 @@
+import { findConversationVoicemails, formatParticipantPurpose } from 'c/genesysCloudClient';
+
+describe('c-genesys-cloud-client conversation utilities', () => {
+    it('finds voicemails on every participant, callback and session, oldest first', () => {
+        const conversation = {
+            participants: [
+                { id: 'p-1', purpose: 'customer' },
+                {
+                    id: 'p-2',
+                    purpose: 'acd',
+                    startTime: '2026-03-02T10:00:00Z',
+                    voicemail: { id: 'vm-2', uploadStatus: 'complete' }
+                },
+                {
+                    id: 'p-3',
+                    purpose: 'agent',
+                    name: 'Transfer target',
+                    callbacks: [{ startTime: '2026-03-02T09:00:00Z', voicemail: { id: 'vm-1' } }],
+                    sessions: [{ startTime: '2026-03-02T11:00:00Z', voicemail: { id: 'vm-3', uploadStatus: 'pending' } }]
+                }
+            ]
+        };
+
+        const voicemails = findConversationVoicemails(conversation);
+
+        expect(voicemails.map(vm => vm.id)).toEqual(['vm-1', 'vm-2', 'vm-3']);
+        expect(voicemails[0]).toEqual(expect.objectContaining({ participantId: 'p-3', purpose: 'agent', isUploaded: true }));
+        expect(voicemails[2].isUploaded).toBe(false);
+    });
+
+    it('lists a voicemail once when it appears on several entries', () => {
+        const conversation = {
+            participants: [
+                { voicemail: { id: 'vm-1' }, callbacks: [{ voicemail: { id: 'vm-1' } }] },
+                { sessions: [{ voicemail: { id: 'vm-1' } }] }
+            ]
+        };
+
+        expect(findConversationVoicemails(conversation)).toHaveLength(1);
+        expect(findConversationVoicemails(null)).toEqual([]);
+    });
+
+    it('formats participant purposes for display', () => {
+        expect(formatParticipantPurpose('acd')).toBe('ACD');
+        expect(formatParticipantPurpose('customer')).toBe('Customer');
+        expect(formatParticipantPurpose(null)).toBe('');
+    });
+});
@@ -0,0 +1,59 @@
+import {
+    formatDuration,
+    getRelativeTime,
+    getCardClass,
+    getTranscriptText,
+    getTranscriptSnippet,
+    extractPhoneNumber,
+    parseValueBetweenColons
+} from 'c/genesysCloudClient';
+
+describe('c-genesys-cloud-client format utilities', () => {
+    it('formats durations given in seconds', () => {
+        expect(formatDuration(0)).toBe('0:00');
+        expect(formatDuration(undefined)).toBe('0:00');
+        expect(formatDuration(5)).toBe('0:05');
+        expect(formatDuration(125)).toBe('2:05');
+        expect(formatDuration(61.8)).toBe('1:01');
+    });
+
+    it('describes how long ago a voicemail arrived', () => {
+        const now = Date.now();
+        expect(getRelativeTime(new Date(now - 10 * 1000).toISOString())).toBe('Just now');
+        expect(getRelativeTime(new Date(now - 60 * 1000).toISOString())).toBe('1 minute ago');
+        expect(getRelativeTime(new Date(now - 3 * 60 * 60 * 1000).toISOString())).toBe('3 hours ago');
+        expect(getRelativeTime(new Date(now - 2 * 24 * 60 * 60 * 1000).toISOString())).toBe('2 days ago');
+        expect(getRelativeTime('')).toBe('');
+    });
+
+    it('builds card classes from read and expanded state', () => {
+        expect(getCardClass(false, false)).toBe('slds-card slds-m-bottom_small unread-card');
+        expect(getCardClass(true, true)).toBe('slds-card slds-m-bottom_small read-card expanded-card');
+    });
+
+    it('extracts a dialable phone number from a caller address', () => {
+        expect(extractPhoneNumber('John Smith +1 (317) 555-0100')).toBe('+13175550100');
+        expect(extractPhoneNumber('tel:+442071234567')).toBe('+442071234567');
+        expect(extractPhoneNumber('Anonymous')).toBeNull();
+        expect(extractPhoneNumber(null)).toBeNull();
+    });
+
+    it('parses the value between the first two colons', () => {
+        expect(parseValueBetweenColons('abc:1234-5678:xyz')).toBe('1234-5678');
+        expect(parseValueBetweenColons('no-colons')).toBeNull();
+        expect(parseValueBetweenColons('one:colon')).toBeNull();
+        expect(parseValueBetweenColons(null)).toBeNull();
+    });
+
+    it('reads transcripts given as text or as an object', () => {
+        expect(getTranscriptText({ transcription: '  Hi,\n please   call back ' })).toBe('Hi, please call back');
+        expect(getTranscriptText({ transcription: { text: 'Order 42' } })).toBe('Order 42');
+        expect(getTranscriptText({})).toBe('');
+    });
+
+    it('shortens long transcripts at a word boundary', () => {
+        expect(getTranscriptSnippet('short message')).toBe('short message');
+        expect(getTranscriptSnippet('please call me back about my order', 20)).toBe('please call me back...');
+        expect(getTranscriptSnippet('')).toBe('');
+    });
+});
@@ -0,0 +1,40 @@
+import {
+    buildMailboxes,
+    createMailbox,
+    getMailboxMessagesEndpoint,
+    parseMailboxIds,
+    MAILBOX_TYPE_GROUP,
+    MAILBOX_TYPE_QUEUE,
+    PERSONAL_MAILBOX
+} from 'c/genesysCloudClient';
+
+describe('c-genesys-cloud-client mailbox utilities', () => {
+    it('parses comma separated ids with optional labels and drops duplicates', () => {
+        expect(parseMailboxIds(' group-1, Sales Team=group-2, group-1 ,')).toEqual([
+            { id: 'group-1', name: '' },
+            { id: 'group-2', name: 'Sales Team' }
+        ]);
+        expect(parseMailboxIds(undefined)).toEqual([]);
+    });
+
+    it('lists the personal mailbox first, then groups and queues', () => {
+        const mailboxes = buildMailboxes('group-1', 'Support=queue-1, queue-2');
+
+        expect(mailboxes.map(mailbox => mailbox.value)).toEqual([
+            PERSONAL_MAILBOX.value,
+            'group:group-1',
+            'queue:queue-1',
+            'queue:queue-2'
+        ]);
+        expect(mailboxes[1].label).toBe('Group: group-1');
+        expect(mailboxes[2].label).toBe('Queue: Support');
+    });
+
+    it('builds the group and queue voicemail message endpoints', () => {
+        const group = createMailbox(MAILBOX_TYPE_GROUP, 'group-1');
+        const queue = createMailbox(MAILBOX_TYPE_QUEUE, 'queue-1');
+
+        expect(getMailboxMessagesEndpoint(group, 25, 2)).toBe('/api/v2/voicemail/groups/group-1/messages?pageSize=25&pageNumber=2');
+        expect(getMailboxMessagesEndpoint(queue, 10, 1)).toBe('/api/v2/voicemail/queues/queue-1/messages?pageSize=10&pageNumber=1');
+    });
+});
@@ -0,0 +1,62 @@
+import {
+    createMediaUrlCache,
+    getMediaEndpoint,
+    getMediaUrlExpiry,
+    resolveAudioFormat
+} from 'c/genesysCloudClient';
+
+describe('c-genesys-cloud-client media utilities', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('picks the smallest playable format for auto and falls back to WAV', () => {
+        const playsEverything = () => 'probably';
+        const playsWebmOnly = (mimeType) => (mimeType.startsWith('audio/webm') ? 'maybe' : '');
+
+        expect(resolveAudioFormat('auto', playsEverything)).toBe('OGG_OPUS');
+        expect(resolveAudioFormat('auto', playsWebmOnly)).toBe('WEBM');
+        expect(resolveAudioFormat('auto', () => '')).toBe('WAV');
+        expect(resolveAudioFormat('WAV', playsEverything)).toBe('WAV');
+        expect(resolveAudioFormat('OGG_OPUS', playsWebmOnly)).toBe('WEBM');
+        expect(getMediaEndpoint('vm-1', 'WEBM')).toBe('/api/v2/voicemail/messages/vm-1/media?formatId=WEBM');
+    });
+
+    it('reads the expiry from signed media URLs', () => {
+        expect(getMediaUrlExpiry('https://media.example.com/vm.wav?X-Amz-Date=20240501T100000Z&X-Amz-Expires=600'))
+            .toBe(Date.UTC(2024, 4, 1, 10, 10, 0));
+        expect(getMediaUrlExpiry('https://media.example.com/vm.wav?Expires=1714557600&Signature=abc'))
+            .toBe(1714557600000);
+        expect(getMediaUrlExpiry('https://media.example.com/vm.wav')).toBeNull();
+        expect(getMediaUrlExpiry('not a url')).toBeNull();
+    });
+
+    it('drops URLs shortly before they expire and after the maximum age', () => {
+        const now = jest.spyOn(Date, 'now').mockReturnValue(Date.UTC(2024, 4, 1, 10, 0, 0));
+        const cache = createMediaUrlCache({ maxAgeMs: 20 * 60 * 1000 });
+        cache.set('signed', 'https://media.example.com/a.wav?X-Amz-Date=20240501T100000Z&X-Amz-Expires=300');
+        cache.set('unsigned', 'https://media.example.com/b.wav');
+
+        now.mockReturnValue(Date.UTC(2024, 4, 1, 10, 4, 0));
+        expect(cache.get('signed')).toBe('https://media.example.com/a.wav?X-Amz-Date=20240501T100000Z&X-Amz-Expires=300');
+        now.mockReturnValue(Date.UTC(2024, 4, 1, 10, 4, 31));
+        expect(cache.get('signed')).toBeNull();
+
+        expect(cache.get('unsigned')).toBe('https://media.example.com/b.wav');
+        now.mockReturnValue(Date.UTC(2024, 4, 1, 10, 20, 0));
+        expect(cache.get('unsigned')).toBeNull();
+    });
+
+    it('evicts the least recently used URL when full', () => {
+        const cache = createMediaUrlCache({ maxEntries: 2 });
+        cache.set('vm-1', 'https://media/1.wav');
+        cache.set('vm-2', 'https://media/2.wav');
+        cache.get('vm-1');
+        cache.set('vm-3', 'https://media/3.wav');
+
+        expect(cache.size).toBe(2);
+        expect(cache.get('vm-2')).toBeNull();
+        expect(cache.get('vm-1')).toBe('https://media/1.wav');
+        expect(cache.get('vm-3')).toBe('https://media/3.wav');
+    });
+});
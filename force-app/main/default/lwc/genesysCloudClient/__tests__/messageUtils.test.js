@@ -0,0 +1,49 @@
+import {
+    buildVoicemailEventMessage,
+    getUpdateMessageTypes,
+    VOICEMAIL_MESSAGE_PLAYED,
+    VOICEMAIL_MESSAGE_READ_CHANGED,
+    VOICEMAIL_MESSAGE_NOTE_SAVED,
+    VOICEMAIL_MESSAGE_DELETED
+} from 'c/genesysCloudClient';
+
+describe('c-genesys-cloud-client message channel utilities', () => {
+    const voicemail = {
+        id: 'vm-1',
+        callerAddress: 'tel:+13175550100',
+        callerName: 'Caller',
+        conversation: { id: 'conversation-1' },
+        read: false,
+        note: 'Draft',
+        callerMatch: { recordId: '003000000000001AAA', name: 'Ada Lovelace', objectApiName: 'Contact' }
+    };
+
+    it('builds the event payload from a voicemail card', () => {
+        expect(buildVoicemailEventMessage(VOICEMAIL_MESSAGE_PLAYED, voicemail)).toEqual({
+            type: 'played',
+            voicemailId: 'vm-1',
+            callerAddress: 'tel:+13175550100',
+            callerName: 'Ada Lovelace',
+            conversationId: 'conversation-1',
+            matchedRecordId: '003000000000001AAA',
+            matchedObjectApiName: 'Contact',
+            read: false,
+            note: null
+        });
+    });
+
+    it('only includes the note on note saved events and fills missing fields with null', () => {
+        expect(buildVoicemailEventMessage(VOICEMAIL_MESSAGE_NOTE_SAVED, voicemail).note).toBe('Draft');
+
+        const message = buildVoicemailEventMessage(VOICEMAIL_MESSAGE_DELETED, { id: 'vm-2' });
+        expect(message.conversationId).toBeNull();
+        expect(message.matchedRecordId).toBeNull();
+        expect(message.read).toBeNull();
+    });
+
+    it('maps voicemail updates to the events they publish', () => {
+        expect(getUpdateMessageTypes({ deleted: true })).toEqual([VOICEMAIL_MESSAGE_DELETED]);
+        expect(getUpdateMessageTypes({ read: false, note: 'Called back' }))
+            .toEqual([VOICEMAIL_MESSAGE_READ_CHANGED, VOICEMAIL_MESSAGE_NOTE_SAVED]);
+    });
+});
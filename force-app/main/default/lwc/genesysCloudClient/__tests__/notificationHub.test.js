@@ -0,0 +1,171 @@
+// Each isolated module registry stands in for one browser tab
+function loadTab() {
+    let client;
+    jest.isolateModules(() => {
+        client = require('c/genesysCloudClient');
+    });
+    return client;
+}
+
+// In-memory BroadcastChannel that delivers asynchronously to every other instance with the same name
+class FakeBroadcastChannel {
+    static instances = [];
+
+    constructor(name) {
+        this.name = name;
+        this.onmessage = null;
+        FakeBroadcastChannel.instances.push(this);
+    }
+
+    postMessage(data) {
+        FakeBroadcastChannel.instances
+            .filter((other) => other !== this && other.name === this.name)
+            .forEach((other) => Promise.resolve().then(() => other.onmessage && other.onmessage({ data })));
+    }
+
+    close() {
+        FakeBroadcastChannel.instances = FakeBroadcastChannel.instances.filter((other) => other !== this);
+    }
+}
+
+describe('c-genesys-cloud-client notification hub', () => {
+    let sockets;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        localStorage.setItem('genesyscloud_access_token', 'token');
+        localStorage.setItem('genesyscloud_token_expiration', String(Date.now() + 3600 * 1000));
+        FakeBroadcastChannel.instances = [];
+        global.BroadcastChannel = FakeBroadcastChannel;
+
+        sockets = [];
+        global.WebSocket = jest.fn(() => {
+            const socket = { close: jest.fn() };
+            sockets.push(socket);
+            return socket;
+        });
+        global.fetch = jest.fn((url) => Promise.resolve({
+            ok: true,
+            status: 200,
+            headers: new Headers(),
+            text: () => Promise.resolve(JSON.stringify(url.endsWith('/users/me')
+                ? { id: 'user-1' }
+                : { id: 'channel-1', connectUri: 'wss://streaming/channel-1' }))
+        }));
+    });
+
+    afterEach(() => {
+        localStorage.clear();
+        delete global.fetch;
+        delete global.WebSocket;
+        delete global.BroadcastChannel;
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    function subscribe(client, onMessage = jest.fn()) {
+        return client.subscribeToVoicemailNotifications({ region: 'mypurecloud.com', onMessage });
+    }
+
+    it('opens one WebSocket for all viewers and tabs and relays its events', async () => {
+        const firstTab = loadTab();
+        const secondTab = loadTab();
+        const received = [jest.fn(), jest.fn(), jest.fn()];
+
+        const subscriptions = [
+            subscribe(firstTab, received[0]),
+            subscribe(firstTab, received[1]),
+            subscribe(secondTab, received[2])
+        ];
+        await jest.advanceTimersByTimeAsync(2000);
+
+        expect(sockets).toHaveLength(1);
+
+        const event = { topicName: 'v2.users.user-1.voicemail.messages', eventBody: { id: 'vm-1', read: true } };
+        sockets[0].onmessage({ data: JSON.stringify(event) });
+        await jest.advanceTimersByTimeAsync(0);
+
+        received.forEach((onMessage) => expect(onMessage).toHaveBeenCalledWith(event));
+        subscriptions.forEach((subscription) => subscription.unsubscribe());
+    });
+
+    it('relays published changes to every other viewer but not back to the sender', async () => {
+        const firstTab = loadTab();
+        const secondTab = loadTab();
+        const senderMessages = jest.fn();
+        const otherMessages = jest.fn();
+        const sender = subscribe(firstTab, senderMessages);
+        const other = subscribe(secondTab, otherMessages);
+        await jest.advanceTimersByTimeAsync(2000);
+
+        sender.publish({ eventBody: { id: 'vm-1', read: true } });
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(senderMessages).not.toHaveBeenCalled();
+        expect(otherMessages).toHaveBeenCalledWith({ eventBody: { id: 'vm-1', read: true } });
+        expect(global.fetch.mock.calls.filter(([url]) => url.includes('/voicemail/'))).toHaveLength(0);
+        sender.unsubscribe();
+        other.unsubscribe();
+    });
+
+    const subscriptionUpdates = () => global.fetch.mock.calls
+        .filter(([url, options]) => options.method === 'PUT' && url.endsWith('/channels/channel-1/subscriptions'))
+        .map(([, options]) => JSON.parse(options.body).map((topic) => topic.id));
+
+    it('adds topics another tab needs to the shared channel and delivers only their events to it', async () => {
+        const firstTab = loadTab();
+        const secondTab = loadTab();
+        const voicemailMessages = jest.fn();
+        const conversationMessages = jest.fn();
+        const onReady = jest.fn();
+        const voicemails = subscribe(firstTab, voicemailMessages);
+        await jest.advanceTimersByTimeAsync(2000);
+        sockets[0].onopen();
+
+        const conversation = secondTab.subscribeToTopics({
+            region: 'mypurecloud.com',
+            topics: ['v2.conversations.conversation-1'],
+            onMessage: conversationMessages,
+            onReady
+        });
+        await jest.advanceTimersByTimeAsync(2000);
+
+        expect(sockets).toHaveLength(1);
+        expect(subscriptionUpdates()).toEqual([
+            ['v2.users.user-1.voicemail.messages', 'v2.conversations.conversation-1']
+        ]);
+        expect(onReady).toHaveBeenCalledTimes(1);
+
+        const conversationEvent = { topicName: 'v2.conversations.conversation-1', eventBody: { id: 'conversation-1' } };
+        const voicemailEvent = { topicName: 'v2.users.user-1.voicemail.messages', eventBody: { id: 'vm-1' } };
+        sockets[0].onmessage({ data: JSON.stringify(conversationEvent) });
+        sockets[0].onmessage({ data: JSON.stringify(voicemailEvent) });
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(conversationMessages.mock.calls).toEqual([[conversationEvent]]);
+        expect(voicemailMessages.mock.calls).toEqual([[voicemailEvent]]);
+
+        conversation.unsubscribe();
+        await jest.advanceTimersByTimeAsync(2000);
+        expect(subscriptionUpdates()[1]).toEqual(['v2.users.user-1.voicemail.messages']);
+        voicemails.unsubscribe();
+    });
+
+    it('hands the connection to another tab when the leader leaves', async () => {
+        const firstTab = loadTab();
+        const first = subscribe(firstTab);
+        await jest.advanceTimersByTimeAsync(2000);
+        const secondTab = loadTab();
+        const second = subscribe(secondTab);
+        await jest.advanceTimersByTimeAsync(2000);
+        expect(sockets).toHaveLength(1);
+
+        first.unsubscribe();
+        await jest.advanceTimersByTimeAsync(2000);
+
+        expect(sockets[0].close).toHaveBeenCalled();
+        expect(sockets).toHaveLength(2);
+        second.unsubscribe();
+    });
+});
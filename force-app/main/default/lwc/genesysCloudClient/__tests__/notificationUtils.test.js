@@ -0,0 +1,58 @@
+import {
+    parseVoicemailNotification,
+    isNewVoicemailEvent,
+    VOICEMAIL_EVENT_CHANGED,
+    VOICEMAIL_EVENT_DELETED
+} from 'c/genesysCloudClient';
+
+function notification(eventBody) {
+    return { topicName: 'v2.users.user-1.voicemail.messages', eventBody };
+}
+
+describe('c-genesys-cloud-client notification utilities', () => {
+    it('returns null when the payload has no voicemail id', () => {
+        expect(parseVoicemailNotification(notification({ read: true }))).toBeNull();
+        expect(parseVoicemailNotification({ topicName: 'channel.metadata' })).toBeNull();
+    });
+
+    it('recognises deleted voicemails', () => {
+        expect(parseVoicemailNotification(notification({ id: 'vm-1', deleted: true })))
+            .toEqual({ id: 'vm-1', type: VOICEMAIL_EVENT_DELETED });
+        expect(parseVoicemailNotification(notification({ id: 'vm-2', mutationType: 'DELETED' })).type)
+            .toBe(VOICEMAIL_EVENT_DELETED);
+    });
+
+    it('picks the read, note and transcription changes out of the payload', () => {
+        const event = parseVoicemailNotification(notification({ id: 'vm-1', read: true, note: 'Called back', transcription: 'Hi' }));
+
+        expect(event.type).toBe(VOICEMAIL_EVENT_CHANGED);
+        expect(event.changes).toEqual({ read: true, note: 'Called back', transcription: 'Hi' });
+        expect(event.isComplete).toBe(false);
+    });
+
+    it('marks payloads with a created date as complete enough to insert', () => {
+        const event = parseVoicemailNotification(notification({
+            id: 'vm-3',
+            read: false,
+            createdDate: '2024-05-01T10:00:00.000Z',
+            callerAddress: 'tel:+13175550100'
+        }));
+
+        expect(event.isComplete).toBe(true);
+        expect(event.voicemail.callerAddress).toBe('tel:+13175550100');
+    });
+
+    it('only treats recent unread voicemails as new arrivals', () => {
+        const now = Date.parse('2024-05-01T10:01:00.000Z');
+        const event = (body) => parseVoicemailNotification(notification({
+            id: 'vm-4',
+            createdDate: '2024-05-01T10:00:00.000Z',
+            ...body
+        }));
+
+        expect(isNewVoicemailEvent(event({ read: false }), now)).toBe(true);
+        expect(isNewVoicemailEvent(event({ read: true }), now)).toBe(false);
+        expect(isNewVoicemailEvent(event({ createdDate: '2024-04-30T10:00:00.000Z' }), now)).toBe(false);
+        expect(isNewVoicemailEvent(parseVoicemailNotification(notification({ id: 'vm-4', deleted: true })), now)).toBe(false);
+    });
+});
@@ -0,0 +1,21 @@
+import { normalizePhoneNumber } from 'c/genesysCloudClient';
+
+describe('c-genesys-cloud-client phone utilities', () => {
+    it('normalizes formatted national numbers with the default country code', () => {
+        expect(normalizePhoneNumber('(317) 555-0100')).toBe('+13175550100');
+        expect(normalizePhoneNumber('1-317-555-0100')).toBe('+13175550100');
+        expect(normalizePhoneNumber('tel:+13175550100')).toBe('+13175550100');
+    });
+
+    it('handles trunk and international prefixes for other countries', () => {
+        expect(normalizePhoneNumber('020 7946 0958', '44')).toBe('+442079460958');
+        expect(normalizePhoneNumber('0044 20 7946 0958', '44')).toBe('+442079460958');
+        expect(normalizePhoneNumber('+44 20 7946 0958', '1')).toBe('+442079460958');
+    });
+
+    it('ignores extensions and empty values', () => {
+        expect(normalizePhoneNumber('4021')).toBeNull();
+        expect(normalizePhoneNumber('')).toBeNull();
+        expect(normalizePhoneNumber(null)).toBeNull();
+    });
+});
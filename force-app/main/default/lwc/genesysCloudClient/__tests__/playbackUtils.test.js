@@ -0,0 +1,56 @@
+import {
+    getPlaybackPosition,
+    savePlaybackPosition,
+    clearPlaybackPosition,
+    getPlaybackRate,
+    savePlaybackRate
+} from 'c/genesysCloudClient';
+
+describe('c-genesys-cloud-client playback utilities', () => {
+    afterEach(() => {
+        localStorage.clear();
+    });
+
+    it('remembers the position per voicemail', () => {
+        savePlaybackPosition('vm-1', 12.5, 60);
+        savePlaybackPosition('vm-2', 30, 60);
+
+        expect(getPlaybackPosition('vm-1')).toBe(12.5);
+        expect(getPlaybackPosition('vm-2')).toBe(30);
+        expect(getPlaybackPosition('vm-3')).toBe(0);
+
+        clearPlaybackPosition('vm-1');
+        expect(getPlaybackPosition('vm-1')).toBe(0);
+    });
+
+    it('forgets positions at the very start or end of the message', () => {
+        savePlaybackPosition('vm-1', 20, 60);
+        savePlaybackPosition('vm-1', 59, 60);
+        expect(getPlaybackPosition('vm-1')).toBe(0);
+
+        savePlaybackPosition('vm-2', 1, 60);
+        expect(getPlaybackPosition('vm-2')).toBe(0);
+    });
+
+    it('keeps only the most recently played voicemails', () => {
+        const now = jest.spyOn(Date, 'now');
+        for (let i = 0; i <= 200; i++) {
+            now.mockReturnValue(1000 + i);
+            savePlaybackPosition(`vm-${i}`, 10, 60);
+        }
+        now.mockRestore();
+
+        expect(getPlaybackPosition('vm-0')).toBe(0);
+        expect(getPlaybackPosition('vm-1')).toBe(10);
+        expect(getPlaybackPosition('vm-200')).toBe(10);
+    });
+
+    it('stores the preferred playback speed', () => {
+        expect(getPlaybackRate()).toBe(1);
+        savePlaybackRate(1.5);
+        expect(getPlaybackRate()).toBe(1.5);
+
+        localStorage.setItem('genesyscloud_playback_rate', '7');
+        expect(getPlaybackRate()).toBe(1);
+    });
+});
@@ -0,0 +1,114 @@
+import {
+    buildVoicemailSearchBody,
+    createEmptyFilters,
+    hasActiveFilters,
+    matchesTranscriptFilter,
+    WORK_QUEUE_SORT
+} from 'c/genesysCloudClient';
+
+describe('c-genesys-cloud-client search utilities', () => {
+    const baseClauses = [
+        { type: 'EXACT', fields: ['owner'], value: 'ALL' },
+        { type: 'EXACT', fields: ['deleted'], value: 'false' }
+    ];
+
+    it('builds the default search body without filters', () => {
+        const body = buildVoicemailSearchBody({ filters: createEmptyFilters(), pageSize: 25, pageNumber: 2 });
+
+        expect(body).toEqual({
+            sortOrder: 'DESC',
+            sortBy: 'createdTime',
+            pageSize: 25,
+            pageNumber: 2,
+            query: baseClauses
+        });
+        expect(hasActiveFilters(createEmptyFilters())).toBe(false);
+    });
+
+    it('limits the search to the given caller numbers', () => {
+        const { query } = buildVoicemailSearchBody({
+            filters: createEmptyFilters(),
+            pageSize: 25,
+            pageNumber: 1,
+            callerNumbers: ['+13175550100', '+13175550101']
+        });
+
+        expect(query.slice(2)).toEqual([{
+            group: [
+                { type: 'CONTAINS', fields: ['callerAddress'], value: '13175550100', operator: 'OR' },
+                { type: 'CONTAINS', fields: ['callerAddress'], value: '13175550101', operator: 'OR' }
+            ]
+        }]);
+    });
+
+    it('adds a clause for each active filter except the transcript', () => {
+        const filters = {
+            readStatus: 'unread',
+            fromDate: '2024-03-01',
+            toDate: '2024-03-31',
+            caller: ' 555 ',
+            note: 'refund',
+            transcript: 'call me back'
+        };
+
+        const { query } = buildVoicemailSearchBody({ filters, pageSize: 25, pageNumber: 1 });
+
+        expect(query.slice(2)).toEqual([
+            { type: 'EXACT', fields: ['read'], value: 'false' },
+            {
+                type: 'DATE_RANGE',
+                fields: ['createdTime'],
+                startValue: new Date('2024-03-01T00:00:00').toISOString(),
+                endValue: new Date('2024-03-31T23:59:59.999').toISOString()
+            },
+            { type: 'CONTAINS', fields: ['callerAddress', 'callerName'], value: '555' },
+            { type: 'CONTAINS', fields: ['note'], value: 'refund' }
+        ]);
+        expect(hasActiveFilters(filters)).toBe(true);
+    });
+
+    it('supports open-ended date ranges and read-only filtering', () => {
+        const filters = { ...createEmptyFilters(), readStatus: 'read', toDate: '2024-03-31' };
+
+        const { query } = buildVoicemailSearchBody({ filters, pageSize: 25, pageNumber: 1 });
+
+        expect(query[2]).toEqual({ type: 'EXACT', fields: ['read'], value: 'true' });
+        expect(query[3].startValue).toBeUndefined();
+        expect(query[3].endValue).toBe(new Date('2024-03-31T23:59:59.999').toISOString());
+    });
+
+    it('uses the requested sort and the oldest-first work queue order', () => {
+        const byDuration = buildVoicemailSearchBody({
+            filters: createEmptyFilters(),
+            sort: { sortBy: 'audioRecordingDurationSeconds', sortOrder: 'ASC' },
+            pageSize: 25,
+            pageNumber: 1
+        });
+        const workQueue = buildVoicemailSearchBody({
+            filters: createEmptyFilters(),
+            sort: WORK_QUEUE_SORT,
+            pageSize: 25,
+            pageNumber: 1
+        });
+
+        expect(byDuration.sortBy).toBe('audioRecordingDurationSeconds');
+        expect(byDuration.sortOrder).toBe('ASC');
+        expect(workQueue.sortBy).toBe('createdTime');
+        expect(workQueue.sortOrder).toBe('ASC');
+    });
+
+    it('matches the transcript filter against each voicemail instead of the query', () => {
+        const filters = { ...createEmptyFilters(), transcript: ' Call Me ' };
+
+        expect(buildVoicemailSearchBody({ filters, pageSize: 25, pageNumber: 1 }).query).toEqual(baseClauses);
+        expect(hasActiveFilters(filters)).toBe(true);
+        expect(matchesTranscriptFilter({ transcription: { text: 'Please call\n  me back' } }, filters)).toBe(true);
+        expect(matchesTranscriptFilter({ transcription: 'Just checking in' }, filters)).toBe(false);
+        expect(matchesTranscriptFilter({}, filters)).toBe(false);
+        expect(matchesTranscriptFilter({}, createEmptyFilters())).toBe(true);
+    });
+
+    it('ignores whitespace-only text filters', () => {
+        expect(hasActiveFilters({ ...createEmptyFilters(), caller: '   ', note: '' })).toBe(false);
+    });
+});
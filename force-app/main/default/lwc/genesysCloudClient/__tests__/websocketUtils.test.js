@@ -0,0 +1,177 @@
+import { createNotificationConnection } from 'c/genesysCloudClient';
+
+function mockResponse(status, body) {
+    return Promise.resolve({
+        ok: status >= 200 && status < 300,
+        status,
+        headers: new Headers(),
+        text: () => Promise.resolve(body ? JSON.stringify(body) : '')
+    });
+}
+
+describe('c-genesys-cloud-client notification connection', () => {
+    let sockets;
+    let channelStatus;
+
+    const requests = (method, path) => global.fetch.mock.calls.filter(([url, options]) =>
+        options.method === method && url.endsWith(path));
+
+    function createConnection(onMessage = jest.fn(), onConnectionChange = jest.fn()) {
+        return createNotificationConnection({
+            region: 'mypurecloud.com',
+            getTopics: () => Promise.resolve(['v2.users.user-1.voicemail.messages']),
+            onMessage,
+            onConnectionChange
+        });
+    }
+
+    function latestSocket() {
+        return sockets[sockets.length - 1];
+    }
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.spyOn(Math, 'random').mockReturnValue(1);
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        localStorage.setItem('genesyscloud_access_token', 'token');
+        localStorage.setItem('genesyscloud_token_expiration', String(Date.now() + 3600 * 1000));
+
+        sockets = [];
+        channelStatus = 200;
+        global.WebSocket = jest.fn((uri) => {
+            const socket = { uri, close: jest.fn() };
+            sockets.push(socket);
+            return socket;
+        });
+        global.fetch = jest.fn((url, options) => {
+            if (options.method === 'HEAD') {
+                return mockResponse(channelStatus);
+            }
+            if (url.endsWith('/notifications/channels')) {
+                return mockResponse(200, { id: 'channel-1', connectUri: 'wss://streaming/channel-1' });
+            }
+            return mockResponse(200, {});
+        });
+    });
+
+    afterEach(() => {
+        localStorage.clear();
+        delete global.fetch;
+        delete global.WebSocket;
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('creates and subscribes a channel, then forwards topic messages but not heartbeats', async () => {
+        const onMessage = jest.fn();
+        const onConnectionChange = jest.fn();
+        const connection = createConnection(onMessage, onConnectionChange);
+
+        connection.start();
+        await jest.advanceTimersByTimeAsync(0);
+        latestSocket().onopen();
+
+        expect(requests('POST', '/channels/channel-1/subscriptions')).toHaveLength(1);
+        expect(latestSocket().uri).toBe('wss://streaming/channel-1');
+        expect(onConnectionChange).toHaveBeenCalledWith(true);
+        expect(connection.getChannelId()).toBe('channel-1');
+
+        latestSocket().onmessage({ data: JSON.stringify({ topicName: 'channel.metadata', eventBody: { message: 'WebSocket Heartbeat' } }) });
+        latestSocket().onmessage({ data: JSON.stringify({ topicName: 'v2.users.user-1.voicemail.messages', eventBody: { id: 'vm-1' } }) });
+
+        expect(onMessage).toHaveBeenCalledTimes(1);
+        expect(onMessage.mock.calls[0][0].eventBody.id).toBe('vm-1');
+        connection.stop();
+    });
+
+    it('reconnects with growing delays and reuses the channel while it is valid', async () => {
+        const connection = createConnection();
+        connection.start();
+        await jest.advanceTimersByTimeAsync(0);
+        latestSocket().onopen();
+
+        latestSocket().onclose({ code: 1006, reason: '' });
+        await jest.advanceTimersByTimeAsync(999);
+        expect(sockets).toHaveLength(1);
+        await jest.advanceTimersByTimeAsync(1);
+        expect(sockets).toHaveLength(2);
+
+        // Second failure in a row waits twice as long
+        latestSocket().onclose({ code: 1006, reason: '' });
+        await jest.advanceTimersByTimeAsync(1999);
+        expect(sockets).toHaveLength(2);
+        await jest.advanceTimersByTimeAsync(1);
+
+        expect(sockets).toHaveLength(3);
+        expect(latestSocket().uri).toBe('wss://streaming/channel-1');
+        expect(requests('POST', '/notifications/channels')).toHaveLength(1);
+        expect(requests('HEAD', '/notifications/channels/channel-1')).toHaveLength(2);
+        connection.stop();
+    });
+
+    it('creates a new channel when the old one is gone', async () => {
+        const connection = createConnection();
+        connection.start();
+        await jest.advanceTimersByTimeAsync(0);
+
+        channelStatus = 404;
+        latestSocket().onclose({ code: 1006, reason: '' });
+        await jest.advanceTimersByTimeAsync(1000);
+
+        expect(requests('POST', '/notifications/channels')).toHaveLength(2);
+        expect(requests('POST', '/channels/channel-1/subscriptions')).toHaveLength(2);
+        connection.stop();
+    });
+
+    it('moves to a new socket straight away when the server announces it is closing', async () => {
+        const connection = createConnection();
+        connection.start();
+        await jest.advanceTimersByTimeAsync(0);
+        const closingSocket = latestSocket();
+
+        closingSocket.onmessage({ data: JSON.stringify({ topicName: 'v2.system.socket_closing', eventBody: {} }) });
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(closingSocket.close).toHaveBeenCalled();
+        expect(sockets).toHaveLength(2);
+        // The replaced socket closing later does not trigger another reconnect
+        closingSocket.onclose({ code: 1000, reason: '' });
+        await jest.advanceTimersByTimeAsync(60000);
+        expect(sockets).toHaveLength(2);
+        connection.stop();
+    });
+
+    it('reconnects when the heartbeat stops arriving', async () => {
+        const connection = createConnection();
+        connection.start();
+        await jest.advanceTimersByTimeAsync(0);
+        const silentSocket = latestSocket();
+        silentSocket.onopen();
+
+        await jest.advanceTimersByTimeAsync(75000);
+        expect(silentSocket.close).toHaveBeenCalled();
+        await jest.advanceTimersByTimeAsync(1000);
+
+        expect(sockets).toHaveLength(2);
+        connection.stop();
+    });
+
+    it('stops reconnecting once stopped', async () => {
+        const onConnectionChange = jest.fn();
+        const connection = createConnection(jest.fn(), onConnectionChange);
+        connection.start();
+        await jest.advanceTimersByTimeAsync(0);
+        const socket = latestSocket();
+        socket.onopen();
+
+        connection.stop();
+        socket.onclose({ code: 1000, reason: '' });
+        await jest.advanceTimersByTimeAsync(120000);
+
+        expect(socket.close).toHaveBeenCalled();
+        expect(sockets).toHaveLength(1);
+        expect(onConnectionChange).toHaveBeenLastCalledWith(false);
+    });
+});
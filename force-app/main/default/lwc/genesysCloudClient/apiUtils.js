@@ -0,0 +1,213 @@
+/**
+ * API utilities for Genesys Cloud API calls
+ */
+
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT'];
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_TIMEOUT_MS = 30000;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 10000;
+
+/**
+ * Error raised for failed Genesys Cloud API calls.
+ * status is 0 when no response was received (timeout or network failure).
+ */
+export class GenesysCloudApiError extends Error {
+    constructor(message, { status = 0, code = null, correlationId = null, retryable = false, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'GenesysCloudApiError';
+        this.status = status;
+        this.code = code;
+        this.correlationId = correlationId;
+        this.retryable = retryable;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+export async function callGenesysCloudApi(endpoint, method, body, accessToken, region, options = {}) {
+    const url = `https://api.${region}` + endpoint;
+    return sendWithRetry(url, method, body, accessToken, options, 0);
+}
+
+export async function markVoicemailAsRead(voicemailId, accessToken, region) {
+    try {
+        await callGenesysCloudApi(
+            `/api/v2/voicemail/messages/${voicemailId}`,
+            'PUT',
+            { read: true },
+            accessToken,
+            region
+        );
+    } catch (error) {
+        console.error('Failed to mark voicemail as read:', error);
+    }
+}
+
+async function sendWithRetry(url, method, body, accessToken, options, attempt) {
+    const {
+        maxRetries = DEFAULT_MAX_RETRIES,
+        timeoutMs = DEFAULT_TIMEOUT_MS,
+        signal,
+        idempotent = IDEMPOTENT_METHODS.includes(method)
+    } = options;
+
+    try {
+        const response = await fetchWithTimeout(url, buildRequestOptions(method, body, accessToken), timeoutMs, signal);
+
+        if (!response.ok) {
+            throw await createApiError(response);
+        }
+
+        return await parseResponseBody(response);
+    } catch (error) {
+        const canRetry = isRetryAllowed(error, idempotent) && attempt < maxRetries && !(signal && signal.aborted);
+        if (!canRetry) {
+            console.error('API call error:', error);
+            throw error;
+        }
+
+        const delay = getRetryDelay(error, attempt);
+        console.warn(`Retrying ${method} ${url} in ${delay}ms (status ${error.status})`);
+        await wait(delay, signal);
+        return sendWithRetry(url, method, body, accessToken, options, attempt + 1);
+    }
+}
+
+function buildRequestOptions(method, body, accessToken) {
+    const requestOptions = {
+        method: method,
+        headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Type': 'application/json'
+        }
+    };
+
+    if (body && (method === 'POST' || method === 'PUT' || method === 'PATCH')) {
+        requestOptions.body = JSON.stringify(body);
+    }
+    return requestOptions;
+}
+
+async function fetchWithTimeout(url, requestOptions, timeoutMs, signal) {
+    const controller = new AbortController();
+    let timedOut = false;
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    const timeoutId = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeoutMs);
+    const abortFromCaller = () => controller.abort();
+    if (signal) {
+        signal.addEventListener('abort', abortFromCaller);
+        if (signal.aborted) {
+            controller.abort();
+        }
+    }
+
+    try {
+        return await fetch(url, { ...requestOptions, signal: controller.signal });
+    } catch (error) {
+        if (timedOut) {
+            throw new GenesysCloudApiError('Request to Genesys Cloud timed out', { code: 'timeout', retryable: true });
+        }
+        if (error.name === 'AbortError') {
+            throw new GenesysCloudApiError('Request to Genesys Cloud was cancelled', { code: 'aborted' });
+        }
+        throw new GenesysCloudApiError(`Unable to reach Genesys Cloud: ${error.message}`, { code: 'network.error' });
+    } finally {
+        clearTimeout(timeoutId);
+        if (signal) {
+            signal.removeEventListener('abort', abortFromCaller);
+        }
+    }
+}
+
+// 204 No Content and empty bodies resolve to null instead of failing JSON parsing
+async function parseResponseBody(response) {
+    if (response.status === 204) {
+        return null;
+    }
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+}
+
+async function createApiError(response) {
+    const errorText = await response.text();
+    let errorBody = null;
+    try {
+        errorBody = errorText ? JSON.parse(errorText) : null;
+    } catch (e) {
+        errorBody = null;
+    }
+
+    const status = response.status;
+    const retryable = RETRYABLE_STATUSES.includes(status);
+    const correlationId = response.headers?.get('ININ-Correlation-Id') || errorBody?.contextId || null;
+
+    let message = `API error (${status}): ${errorBody?.message || errorText}`;
+    if (status === 429) {
+        message = 'Genesys Cloud is receiving too many requests. Please try again in a moment.';
+    } else if (retryable) {
+        message = 'Genesys Cloud is temporarily unavailable. Please try again in a moment.';
+    }
+
+    return new GenesysCloudApiError(message, {
+        status,
+        code: errorBody?.code || null,
+        correlationId,
+        retryable,
+        retryAfterMs: parseRetryAfter(response.headers?.get('Retry-After'))
+    });
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(retryAfter) {
+    if (!retryAfter) {
+        return null;
+    }
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(seconds * 1000, 0);
+    }
+    const retryDate = Date.parse(retryAfter);
+    return Number.isNaN(retryDate) ? null : Math.max(retryDate - Date.now(), 0);
+}
+
+// A rate-limited request was never processed, so any method can be sent again. After a timeout
+// or gateway error a write may already have been applied, so only idempotent requests are replayed;
+// callers pass idempotent: true for reads sent as POST, such as searches.
+function isRetryAllowed(error, idempotent) {
+    if (!error.retryable) {
+        return false;
+    }
+    return error.status === 429 || idempotent;
+}
+
+function getRetryDelay(error, attempt) {
+    if (error.retryAfterMs !== null) {
+        return error.retryAfterMs;
+    }
+    const backoff = Math.min(BASE_BACKOFF_MS * (2 ** attempt), MAX_BACKOFF_MS);
+    return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+}
+
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        let timeoutId = null;
+        const onAbort = () => {
+            clearTimeout(timeoutId);
+            reject(new GenesysCloudApiError('Request to Genesys Cloud was cancelled', { code: 'aborted' }));
+        };
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        timeoutId = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            resolve();
+        }, ms);
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
@@ -0,0 +1,278 @@
+/**
+ * Auth session manager for Genesys Cloud
+ * Re-authenticates ahead of token expiry, holds API calls while a refresh is running
+ * and notifies subscribers once the session can no longer be recovered
+ */
+
+import {
+    generateCodeVerifier,
+    generateCodeChallenge,
+    exchangeCodeForToken,
+    refreshAccessToken,
+    getAccessToken,
+    getRefreshToken,
+    getTokenExpiration,
+    getRedirectUri,
+    clearToken
+} from './authUtils';
+
+const AUTH_CALLBACK_TYPE = 'GENESYS_AUTH_CALLBACK';
+const REFRESH_LEAD_MS = 5 * 60 * 1000;
+const SILENT_AUTH_TIMEOUT_MS = 10000;
+const INTERACTIVE_AUTH_TIMEOUT_MS = 5 * 60 * 1000;
+
+let sessionConfig = null;
+let refreshPromise = null;
+let refreshTimer = null;
+let sessionLostNotified = false;
+const sessionLostListeners = new Set();
+
+export function configureAuthSession(clientId, region) {
+    sessionConfig = { clientId, region };
+    scheduleRefresh();
+}
+
+export function onSessionLost(listener) {
+    sessionLostListeners.add(listener);
+    return () => sessionLostListeners.delete(listener);
+}
+
+export function isUnauthorizedError(error) {
+    return !!error && error.status === 401;
+}
+
+/**
+ * Opens the Genesys Cloud login popup and resolves with the new access token
+ */
+export async function login() {
+    const { clientId, region } = getSessionConfig();
+    const codeVerifier = generateCodeVerifier();
+    const codeChallenge = await generateCodeChallenge(codeVerifier);
+    const state = generateCodeVerifier();
+
+    const width = 600;
+    const height = 700;
+    const left = (window.screen.width / 2) - (width / 2);
+    const top = (window.screen.height / 2) - (height / 2);
+
+    const authWindow = window.open(
+        buildAuthorizeUrl(codeChallenge, state, false),
+        'GenesysCloudAuth',
+        `width=${width},height=${height},left=${left},top=${top}`
+    );
+
+    if (!authWindow || authWindow.closed || typeof authWindow.closed === 'undefined') {
+        throw new Error('Popup blocked. Please allow popups for this site.');
+    }
+
+    const authCode = await waitForAuthCallback(state, INTERACTIVE_AUTH_TIMEOUT_MS);
+    const accessToken = await exchangeCodeForToken(authCode, clientId, region, codeVerifier);
+    if (!accessToken) {
+        throw new Error('Failed to complete authentication');
+    }
+
+    startSession();
+    return accessToken;
+}
+
+/**
+ * Re-authenticates without user interaction. Concurrent callers share the same attempt.
+ * Resolves with the new access token, or null when silent re-authentication is not possible.
+ */
+export function refreshSession() {
+    if (!refreshPromise) {
+        refreshPromise = silentReauthenticate()
+            .then((accessToken) => {
+                startSession();
+                return accessToken;
+            })
+            .catch((error) => {
+                console.error('Silent re-authentication failed:', error);
+                return null;
+            })
+            .finally(() => {
+                refreshPromise = null;
+            });
+    }
+    return refreshPromise;
+}
+
+/**
+ * Returns a usable access token, waiting for any refresh in progress first
+ */
+export async function getValidAccessToken() {
+    if (refreshPromise) {
+        await refreshPromise;
+    }
+
+    const accessToken = getAccessToken();
+    if (accessToken) {
+        return accessToken;
+    }
+
+    const refreshedToken = await refreshSession();
+    if (!refreshedToken) {
+        endSession();
+    }
+    return refreshedToken;
+}
+
+/**
+ * Runs an API request with a valid token, re-authenticating and retrying once on 401
+ */
+export async function withAccessToken(request) {
+    const accessToken = await getValidAccessToken();
+    if (!accessToken) {
+        throw new Error('Genesys Cloud session expired. Please log in again.');
+    }
+
+    try {
+        return await request(accessToken);
+    } catch (error) {
+        if (!isUnauthorizedError(error)) {
+            throw error;
+        }
+
+        // Another caller may already have replaced the rejected token
+        const currentToken = getAccessToken();
+        const retryToken = currentToken && currentToken !== accessToken
+            ? currentToken
+            : await refreshSession();
+
+        if (!retryToken) {
+            endSession();
+            throw error;
+        }
+        return request(retryToken);
+    }
+}
+
+export function endSession() {
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+    clearToken();
+
+    if (sessionLostNotified) {
+        return;
+    }
+    sessionLostNotified = true;
+    sessionLostListeners.forEach((listener) => {
+        try {
+            listener();
+        } catch (error) {
+            console.error('Session lost listener error:', error);
+        }
+    });
+}
+
+function startSession() {
+    sessionLostNotified = false;
+    scheduleRefresh();
+}
+
+function scheduleRefresh() {
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+
+    const expiration = getTokenExpiration();
+    if (!sessionConfig || !expiration) {
+        return;
+    }
+
+    const delay = Math.max(expiration - Date.now() - REFRESH_LEAD_MS, 0);
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    refreshTimer = setTimeout(() => refreshSession(), delay);
+}
+
+function getSessionConfig() {
+    if (!sessionConfig || !sessionConfig.clientId) {
+        throw new Error('Genesys Cloud auth session is not configured');
+    }
+    return sessionConfig;
+}
+
+async function silentReauthenticate() {
+    const { clientId, region } = getSessionConfig();
+
+    const refreshToken = getRefreshToken();
+    if (refreshToken) {
+        const accessToken = await refreshAccessToken(refreshToken, clientId, region);
+        if (accessToken) {
+            return accessToken;
+        }
+    }
+
+    return authorizeInHiddenFrame(clientId, region);
+}
+
+// prompt=none only succeeds while the user still has a Genesys Cloud login session
+async function authorizeInHiddenFrame(clientId, region) {
+    const codeVerifier = generateCodeVerifier();
+    const codeChallenge = await generateCodeChallenge(codeVerifier);
+    const state = generateCodeVerifier();
+
+    const frame = document.createElement('iframe');
+    frame.style.display = 'none';
+    frame.src = buildAuthorizeUrl(codeChallenge, state, true);
+
+    try {
+        const callback = waitForAuthCallback(state, SILENT_AUTH_TIMEOUT_MS);
+        document.body.appendChild(frame);
+        const authCode = await callback;
+        const accessToken = await exchangeCodeForToken(authCode, clientId, region, codeVerifier);
+        if (!accessToken) {
+            throw new Error('Token exchange failed');
+        }
+        return accessToken;
+    } finally {
+        frame.remove();
+    }
+}
+
+function buildAuthorizeUrl(codeChallenge, state, silent) {
+    const { clientId, region } = getSessionConfig();
+    const redirectUri = encodeURIComponent(getRedirectUri());
+    return `https://login.${region}/oauth/authorize` +
+        `?client_id=${clientId}` +
+        `&response_type=code` +
+        `&redirect_uri=${redirectUri}` +
+        `&scope=conversations voicemail` +
+        `&code_challenge=${codeChallenge}` +
+        `&code_challenge_method=S256` +
+        `&state=${encodeURIComponent(state)}` +
+        (silent ? '&prompt=none' : '');
+}
+
+function waitForAuthCallback(state, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        let timeoutId = null;
+
+        function cleanup() {
+            window.removeEventListener('message', handleMessage);
+            clearTimeout(timeoutId);
+        }
+
+        function handleMessage(event) {
+            if (event.origin !== window.location.origin ||
+                !event.data ||
+                event.data.type !== AUTH_CALLBACK_TYPE ||
+                event.data.state !== state) {
+                return;
+            }
+
+            cleanup();
+            if (event.data.code) {
+                resolve(event.data.code);
+            } else {
+                reject(new Error(`Authentication failed: ${event.data.error || 'no authorization code received'}`));
+            }
+        }
+
+        window.addEventListener('message', handleMessage);
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        timeoutId = setTimeout(() => {
+            cleanup();
+            reject(new Error('Authentication timed out'));
+        }, timeoutMs);
+    });
+}
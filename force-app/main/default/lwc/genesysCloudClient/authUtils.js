@@ -0,0 +1,134 @@
+/**
+ * Authentication utilities for Genesys Cloud OAuth
+ */
+
+const ACCESS_TOKEN_KEY = 'genesyscloud_access_token';
+const TOKEN_EXPIRATION_KEY = 'genesyscloud_token_expiration';
+const REFRESH_TOKEN_KEY = 'genesyscloud_refresh_token';
+
+export function getRedirectUri() {
+    return window.location.origin + '/resource/GenesysAuthCallback';
+}
+
+export function generateCodeVerifier() {
+    const array = new Uint8Array(32);
+    crypto.getRandomValues(array);
+    return btoa(String.fromCharCode.apply(null, array))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=/g, '');
+}
+
+export async function generateCodeChallenge(verifier) {
+    const encoder = new TextEncoder();
+    const data = encoder.encode(verifier);
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return btoa(String.fromCharCode.apply(null, new Uint8Array(digest)))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=/g, '');
+}
+
+// codeVerifier is the PKCE verifier of the login that returned authCode; it is required
+export async function exchangeCodeForToken(authCode, clientId, region, codeVerifier) {
+    try {
+        if (!codeVerifier) {
+            throw new Error('Code verifier not found');
+        }
+
+        const tokenResponse = await fetch(`https://login.${region}/oauth/token`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: new URLSearchParams({
+                grant_type: 'authorization_code',
+                client_id: clientId,
+                code: authCode,
+                redirect_uri: getRedirectUri(),
+                code_verifier: codeVerifier
+            })
+        });
+
+        if (!tokenResponse.ok) {
+            throw new Error('Token exchange failed');
+        }
+
+        const tokenData = await tokenResponse.json();
+        storeToken(tokenData);
+
+        return tokenData.access_token;
+    } catch (error) {
+        console.error('Token exchange error:', error);
+        return null;
+    }
+}
+
+// Only available when the OAuth client is allowed to issue refresh tokens
+export async function refreshAccessToken(refreshToken, clientId, region) {
+    try {
+        const tokenResponse = await fetch(`https://login.${region}/oauth/token`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: new URLSearchParams({
+                grant_type: 'refresh_token',
+                client_id: clientId,
+                refresh_token: refreshToken
+            })
+        });
+
+        if (!tokenResponse.ok) {
+            throw new Error('Token refresh failed');
+        }
+
+        const tokenData = await tokenResponse.json();
+        storeToken(tokenData);
+
+        return tokenData.access_token;
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        localStorage.removeItem(REFRESH_TOKEN_KEY);
+        return null;
+    }
+}
+
+export function storeToken(tokenData) {
+    localStorage.setItem(ACCESS_TOKEN_KEY, tokenData.access_token);
+    const expirationTime = Date.now() + (tokenData.expires_in * 1000);
+    localStorage.setItem(TOKEN_EXPIRATION_KEY, expirationTime.toString());
+    if (tokenData.refresh_token) {
+        localStorage.setItem(REFRESH_TOKEN_KEY, tokenData.refresh_token);
+    }
+}
+
+export function clearToken() {
+    localStorage.removeItem(ACCESS_TOKEN_KEY);
+    localStorage.removeItem(TOKEN_EXPIRATION_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+}
+
+export function getTokenExpiration() {
+    const expiration = localStorage.getItem(TOKEN_EXPIRATION_KEY);
+    return expiration ? parseInt(expiration, 10) : null;
+}
+
+export function getRefreshToken() {
+    return localStorage.getItem(REFRESH_TOKEN_KEY);
+}
+
+export function getAccessToken() {
+    const token = localStorage.getItem(ACCESS_TOKEN_KEY);
+    const expiration = getTokenExpiration();
+
+    if (token && expiration) {
+        const now = Date.now();
+        if (now < expiration) {
+            return token;
+        }
+        localStorage.removeItem(ACCESS_TOKEN_KEY);
+        localStorage.removeItem(TOKEN_EXPIRATION_KEY);
+    }
+    return null;
+}
@@ -0,0 +1,73 @@
+/**
+ * Parsers that read the Genesys Cloud conversation id out of a VoiceCall VendorCallKey.
+ * CTI integrations write the key in different layouts; orgs with their own layout can register a parser.
+ */
+
+import { parseValueBetweenColons } from './formatUtils';
+
+export const VENDOR_CALL_KEY_AUTO = 'auto';
+export const VENDOR_CALL_KEY_COLON = 'colon';
+export const VENDOR_CALL_KEY_UUID = 'uuid';
+export const VENDOR_CALL_KEY_JSON = 'json';
+
+const UUID_PATTERN = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i;
+const JSON_ID_FIELDS = ['conversationId', 'interactionId', 'id'];
+
+const parsers = new Map([
+    // org:conversationId:... as written by the Genesys Cloud CTI connector
+    [VENDOR_CALL_KEY_COLON, (vendorCallKey) => parseValueBetweenColons(vendorCallKey)],
+    [VENDOR_CALL_KEY_UUID, (vendorCallKey) => {
+        const match = vendorCallKey.match(UUID_PATTERN);
+        return match ? match[0] : null;
+    }],
+    [VENDOR_CALL_KEY_JSON, (vendorCallKey) => {
+        let value;
+        try {
+            value = JSON.parse(vendorCallKey);
+        } catch (error) {
+            return null;
+        }
+        const source = value?.conversation || value;
+        const field = JSON_ID_FIELDS.find(name => typeof source?.[name] === 'string' && source[name]);
+        return field ? source[field] : null;
+    }]
+]);
+
+// Order the built-in parsers are tried in when the format is "auto"
+const AUTO_ORDER = [VENDOR_CALL_KEY_JSON, VENDOR_CALL_KEY_COLON, VENDOR_CALL_KEY_UUID];
+
+/**
+ * Adds or replaces a parser. parser(vendorCallKey) returns the conversation id or null.
+ * Custom parsers are tried after the built-in ones in auto mode.
+ */
+export function registerVendorCallKeyParser(format, parser) {
+    if (!format || typeof parser !== 'function') {
+        throw new Error('A VendorCallKey parser needs a format name and a function');
+    }
+    parsers.set(format, parser);
+}
+
+/**
+ * Returns the conversation id from vendorCallKey using the named format, or null when it cannot be read.
+ * "auto" tries JSON, then colon-delimited, then the first UUID in the key, then any registered parsers.
+ */
+export function parseVendorCallKey(vendorCallKey, format = VENDOR_CALL_KEY_AUTO) {
+    if (!vendorCallKey || typeof vendorCallKey !== 'string') return null;
+    const key = vendorCallKey.trim();
+
+    if (format && format !== VENDOR_CALL_KEY_AUTO) {
+        const parser = parsers.get(format);
+        if (!parser) {
+            console.error(`Unknown VendorCallKey format: ${format}`);
+            return null;
+        }
+        return parser(key) || null;
+    }
+
+    const formats = [...AUTO_ORDER, ...[...parsers.keys()].filter(name => !AUTO_ORDER.includes(name))];
+    for (const name of formats) {
+        const conversationId = parsers.get(name)(key);
+        if (conversationId) return conversationId;
+    }
+    return null;
+}
@@ -0,0 +1,28 @@
+/**
+ * Concurrency helpers for batches of Genesys Cloud API calls
+ */
+
+/**
+ * Runs worker(item, index) for every item with at most `limit` calls in flight.
+ * Resolves with one { item, status, value | reason } entry per item, in input order, like Promise.allSettled.
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const runNext = async () => {
+        if (nextIndex >= items.length) return;
+        const index = nextIndex++;
+        const item = items[index];
+        try {
+            results[index] = { item, status: 'fulfilled', value: await worker(item, index) };
+        } catch (reason) {
+            results[index] = { item, status: 'rejected', reason };
+        }
+        await runNext();
+    };
+
+    const workerCount = Math.max(1, Math.min(limit, items.length));
+    await Promise.all(Array.from({ length: workerCount }, runNext));
+    return results;
+}
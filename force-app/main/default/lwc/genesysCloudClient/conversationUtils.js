@@ -0,0 +1,46 @@
+/**
+ * Helpers for reading voicemails off Genesys Cloud conversations
+ */
+
+// Voicemails attached to a callback are only playable once their upload has finished
+export function isVoicemailUploaded(voicemail) {
+    return !voicemail.uploadStatus || voicemail.uploadStatus === 'complete';
+}
+
+/**
+ * Collects every voicemail on a conversation. Transfers and repeated callback attempts can put
+ * voicemails on any participant, and on the call, callback or session entries within a participant.
+ * Returns one entry per voicemail id, oldest first, with the participant it was found on.
+ */
+export function findConversationVoicemails(conversation) {
+    const voicemails = new Map();
+
+    (conversation?.participants || []).forEach((participant) => {
+        const sources = [
+            participant,
+            ...(participant.calls || []),
+            ...(participant.callbacks || []),
+            ...(participant.sessions || [])
+        ];
+        sources.forEach((source) => {
+            const voicemail = source.voicemail;
+            if (!voicemail?.id || voicemails.has(voicemail.id)) return;
+            voicemails.set(voicemail.id, {
+                id: voicemail.id,
+                uploadStatus: voicemail.uploadStatus || null,
+                isUploaded: isVoicemailUploaded(voicemail),
+                participantId: participant.id || null,
+                participantName: participant.name || null,
+                purpose: participant.purpose || null,
+                startTime: source.startTime || source.connectedTime || participant.startTime || participant.connectedTime || null
+            });
+        });
+    });
+
+    return [...voicemails.values()].sort((a, b) => new Date(a.startTime || 0) - new Date(b.startTime || 0));
+}
+
+export function formatParticipantPurpose(purpose) {
+    if (!purpose) return '';
+    return purpose.length <= 3 ? purpose.toUpperCase() : purpose.charAt(0).toUpperCase() + purpose.slice(1);
+}
@@ -4,8 +4,9 @@
 
 export function formatDuration(durationSeconds) {
     if (!durationSeconds) return '0:00';
-    const minutes = Math.floor(durationSeconds / 60);
-    const remainingSeconds = durationSeconds % 60;
+    const totalSeconds = Math.floor(durationSeconds);
+    const minutes = Math.floor(totalSeconds / 60);
+    const remainingSeconds = totalSeconds % 60;
     return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
 }
 
@@ -33,10 +34,23 @@ export function getCardClass(isRead, isExpanded) {
     return `${baseClass} ${readClass} ${expandedClass}`.trim();
 }
 
+// Transcriptions arrive either as plain text or as an object with a text field
+export function getTranscriptText(voicemail) {
+    const transcription = voicemail && voicemail.transcription;
+    const text = typeof transcription === 'string' ? transcription : transcription?.text;
+    return text ? text.replace(/\s+/g, ' ').trim() : '';
+}
+
+export function getTranscriptSnippet(transcript, maxLength = 120) {
+    if (!transcript || transcript.length <= maxLength) return transcript || '';
+    const cut = transcript.lastIndexOf(' ', maxLength);
+    return `${transcript.substring(0, cut > 0 ? cut : maxLength)}...`;
+}
+
 export function extractPhoneNumber(callerAddress) {
     if (!callerAddress) return null;
-    const match = callerAddress.match(/\+?\d[\d\s\-\(\)]+/);
-    return match ? match[0].replace(/[\s\-\(\)]/g, '') : null;
+    const match = callerAddress.match(/\+?\d[\d\s\-()]+/);
+    return match ? match[0].replace(/[\s\-()]/g, '') : null;
 }
 
 export function parseValueBetweenColons(inputString) {
@@ -0,0 +1,119 @@
+/**
+ * Shared Genesys Cloud client for the voicemail components
+ * Service module - re-exports the utility modules so both viewers use one implementation
+ */
+
+export {
+    generateCodeVerifier,
+    generateCodeChallenge,
+    exchangeCodeForToken,
+    refreshAccessToken,
+    getAccessToken,
+    clearToken
+} from './authUtils';
+export {
+    configureAuthSession,
+    onSessionLost,
+    isUnauthorizedError,
+    login,
+    refreshSession,
+    getValidAccessToken,
+    withAccessToken,
+    endSession
+} from './authSession';
+export { callGenesysCloudApi, markVoicemailAsRead, GenesysCloudApiError } from './apiUtils';
+export {
+    createNotificationConnection,
+    getVoicemailTopics,
+    getConversationTopic
+} from './websocketUtils';
+export { subscribeToVoicemailNotifications, subscribeToTopics } from './notificationHub';
+export {
+    formatDuration,
+    formatDate,
+    getRelativeTime,
+    getCardClass,
+    getTranscriptText,
+    getTranscriptSnippet,
+    extractPhoneNumber,
+    parseValueBetweenColons
+} from './formatUtils';
+export {
+    READ_STATUS_ALL,
+    READ_STATUS_UNREAD,
+    READ_STATUS_READ,
+    SORT_BY_CREATED_TIME,
+    SORT_BY_DURATION,
+    SORT_BY_CALLER,
+    SORT_ORDER_ASC,
+    SORT_ORDER_DESC,
+    WORK_QUEUE_SORT,
+    createEmptyFilters,
+    createDefaultSort,
+    hasActiveFilters,
+    filtersDependOnChanges,
+    hasTranscriptFilter,
+    matchesTranscriptFilter,
+    buildVoicemailSearchBody,
+    buildCallerNumbersClause
+} from './searchUtils';
+export { mapWithConcurrency } from './concurrencyUtils';
+export {
+    MAILBOX_TYPE_USER,
+    MAILBOX_TYPE_GROUP,
+    MAILBOX_TYPE_QUEUE,
+    PERSONAL_MAILBOX,
+    parseMailboxIds,
+    buildMailboxes,
+    createMailbox,
+    getMailboxMessagesEndpoint
+} from './mailboxUtils';
+export {
+    VOICEMAIL_EVENT_CHANGED,
+    VOICEMAIL_EVENT_DELETED,
+    parseVoicemailNotification,
+    isNewVoicemailEvent
+} from './notificationUtils';
+export {
+    VOICEMAIL_MESSAGE_SELECTED,
+    VOICEMAIL_MESSAGE_PLAYED,
+    VOICEMAIL_MESSAGE_READ_CHANGED,
+    VOICEMAIL_MESSAGE_NOTE_SAVED,
+    VOICEMAIL_MESSAGE_DELETED,
+    VOICEMAIL_COMMAND_OPEN,
+    VOICEMAIL_COMMAND_REFRESH,
+    buildVoicemailEventMessage,
+    getUpdateMessageTypes
+} from './messageUtils';
+export {
+    PLAYBACK_RATES,
+    getPlaybackPosition,
+    savePlaybackPosition,
+    clearPlaybackPosition,
+    getPlaybackRate,
+    savePlaybackRate
+} from './playbackUtils';
+export {
+    AUDIO_FORMAT_AUTO,
+    AUDIO_FORMAT_WAV,
+    AUDIO_FORMAT_WEBM,
+    AUDIO_FORMAT_OGG_OPUS,
+    resolveAudioFormat,
+    getMediaEndpoint,
+    getMediaUrlExpiry,
+    createMediaUrlCache
+} from './mediaUtils';
+export { DEFAULT_COUNTRY_CODE, normalizePhoneNumber } from './phoneUtils';
+export {
+    VENDOR_CALL_KEY_AUTO,
+    VENDOR_CALL_KEY_COLON,
+    VENDOR_CALL_KEY_UUID,
+    VENDOR_CALL_KEY_JSON,
+    registerVendorCallKeyParser,
+    parseVendorCallKey
+} from './callKeyUtils';
+export {
+    isVoicemailUploaded,
+    findConversationVoicemails,
+    formatParticipantPurpose
+} from './conversationUtils';
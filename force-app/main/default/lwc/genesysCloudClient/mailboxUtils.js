@@ -0,0 +1,47 @@
+/**
+ * Mailbox helpers for personal, group and queue voicemail
+ */
+
+export const MAILBOX_TYPE_USER = 'user';
+export const MAILBOX_TYPE_GROUP = 'group';
+export const MAILBOX_TYPE_QUEUE = 'queue';
+
+export const PERSONAL_MAILBOX = Object.freeze({ type: MAILBOX_TYPE_USER, id: null, value: MAILBOX_TYPE_USER, label: 'My voicemail' });
+
+/**
+ * Reads a design attribute of comma-separated mailbox entries.
+ * Each entry is either an id or "Label=id", for example "Sales Team=3f2b...,9a1c...".
+ */
+export function parseMailboxIds(value) {
+    if (!value) return [];
+    const entries = new Map();
+    String(value).split(',').forEach(entry => {
+        const separatorIndex = entry.lastIndexOf('=');
+        const id = entry.substring(separatorIndex + 1).trim();
+        const name = separatorIndex === -1 ? '' : entry.substring(0, separatorIndex).trim();
+        if (id && !entries.has(id)) {
+            entries.set(id, { id, name });
+        }
+    });
+    return [...entries.values()];
+}
+
+// The picker always starts with the agent's own voicemail
+export function buildMailboxes(groupIds, queueIds) {
+    return [
+        PERSONAL_MAILBOX,
+        ...parseMailboxIds(groupIds).map(({ id, name }) => createMailbox(MAILBOX_TYPE_GROUP, id, name)),
+        ...parseMailboxIds(queueIds).map(({ id, name }) => createMailbox(MAILBOX_TYPE_QUEUE, id, name))
+    ];
+}
+
+export function createMailbox(type, id, name) {
+    const prefix = type === MAILBOX_TYPE_GROUP ? 'Group' : 'Queue';
+    return { type, id, value: `${type}:${id}`, label: `${prefix}: ${name || id}` };
+}
+
+export function getMailboxMessagesEndpoint(mailbox, pageSize, pageNumber) {
+    const collection = mailbox.type === MAILBOX_TYPE_GROUP ? 'groups' : 'queues';
+    return `/api/v2/voicemail/${collection}/${encodeURIComponent(mailbox.id)}/messages` +
+        `?pageSize=${pageSize}&pageNumber=${pageNumber}`;
+}
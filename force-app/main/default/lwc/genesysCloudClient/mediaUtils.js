@@ -0,0 +1,102 @@
+/**
+ * Voicemail media helpers: audio format selection and a short-lived cache for signed media URLs
+ */
+
+export const AUDIO_FORMAT_AUTO = 'auto';
+export const AUDIO_FORMAT_WAV = 'WAV';
+export const AUDIO_FORMAT_WEBM = 'WEBM';
+export const AUDIO_FORMAT_OGG_OPUS = 'OGG_OPUS';
+
+// Smallest first; WAV is the fallback every browser can play
+const AUDIO_FORMATS = [
+    { id: AUDIO_FORMAT_OGG_OPUS, mimeType: 'audio/ogg; codecs="opus"' },
+    { id: AUDIO_FORMAT_WEBM, mimeType: 'audio/webm; codecs="opus"' },
+    { id: AUDIO_FORMAT_WAV, mimeType: 'audio/wav' }
+];
+
+const DEFAULT_CACHE_SIZE = 50;
+const DEFAULT_CACHE_MAX_AGE_MS = 10 * 60 * 1000;
+// Signed URLs are dropped a little before they expire so playback does not start on a dead link
+const URL_EXPIRY_MARGIN_MS = 30 * 1000;
+
+/**
+ * Picks the formatId to request. "auto" takes the smallest format the browser can play;
+ * a fixed choice the browser cannot play falls back the same way.
+ */
+export function resolveAudioFormat(preference, canPlayType = browserCanPlayType) {
+    const playable = AUDIO_FORMATS.filter(format => format.id === AUDIO_FORMAT_WAV || canPlayType(format.mimeType));
+    const preferred = playable.find(format => format.id === preference);
+    return (preferred || playable[0]).id;
+}
+
+export function getMediaEndpoint(voicemailId, formatId) {
+    return `/api/v2/voicemail/messages/${voicemailId}/media?formatId=${formatId}`;
+}
+
+/**
+ * Reads the expiry time from a signed media URL (S3 X-Amz-Date/X-Amz-Expires or Expires).
+ * Returns null when the URL does not say.
+ */
+export function getMediaUrlExpiry(mediaFileUri) {
+    let params;
+    try {
+        params = new URL(mediaFileUri).searchParams;
+    } catch (e) {
+        return null;
+    }
+
+    const signedAt = params.get('X-Amz-Date');
+    const expiresIn = Number(params.get('X-Amz-Expires'));
+    const match = signedAt && signedAt.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+    if (match && expiresIn) {
+        const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+        return Date.UTC(year, month - 1, day, hours, minutes, seconds) + expiresIn * 1000;
+    }
+
+    const expires = Number(params.get('Expires'));
+    return expires ? expires * 1000 : null;
+}
+
+/**
+ * Least-recently-used cache of media URLs. Entries expire at the URL's own expiry
+ * or after maxAgeMs, whichever comes first.
+ */
+export function createMediaUrlCache({ maxEntries = DEFAULT_CACHE_SIZE, maxAgeMs = DEFAULT_CACHE_MAX_AGE_MS } = {}) {
+    const entries = new Map();
+
+    return {
+        get(key) {
+            const entry = entries.get(key);
+            if (!entry) return null;
+            entries.delete(key);
+            if (Date.now() >= entry.expiresAt) return null;
+            entries.set(key, entry);
+            return entry.url;
+        },
+
+        set(key, url) {
+            const urlExpiry = getMediaUrlExpiry(url);
+            const expiresAt = Math.min(
+                Date.now() + maxAgeMs,
+                urlExpiry ? urlExpiry - URL_EXPIRY_MARGIN_MS : Infinity
+            );
+            entries.delete(key);
+            entries.set(key, { url, expiresAt });
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+
+        delete(key) {
+            entries.delete(key);
+        },
+
+        get size() {
+            return entries.size;
+        }
+    };
+}
+
+function browserCanPlayType(mimeType) {
+    return typeof document !== 'undefined' && !!document.createElement('audio').canPlayType(mimeType);
+}
@@ -0,0 +1,47 @@
+/**
+ * Payloads for the VoicemailEvents__c and VoicemailCommands__c Lightning Message Channels
+ */
+
+export const VOICEMAIL_MESSAGE_SELECTED = 'selected';
+export const VOICEMAIL_MESSAGE_PLAYED = 'played';
+export const VOICEMAIL_MESSAGE_READ_CHANGED = 'readChanged';
+export const VOICEMAIL_MESSAGE_NOTE_SAVED = 'noteSaved';
+export const VOICEMAIL_MESSAGE_DELETED = 'deleted';
+
+export const VOICEMAIL_COMMAND_OPEN = 'openVoicemail';
+export const VOICEMAIL_COMMAND_REFRESH = 'refresh';
+
+/**
+ * Builds a VoicemailEvents__c message from a voicemail card.
+ * Fields that do not apply are null so subscribers always see the same shape.
+ */
+export function buildVoicemailEventMessage(type, voicemail) {
+    const match = voicemail.callerMatch || null;
+    return {
+        type,
+        voicemailId: voicemail.id,
+        callerAddress: voicemail.callerAddress || null,
+        callerName: match?.name || voicemail.callerName || null,
+        conversationId: voicemail.conversation?.id || null,
+        matchedRecordId: match?.recordId || null,
+        matchedObjectApiName: match?.objectApiName || null,
+        read: typeof voicemail.read === 'boolean' ? voicemail.read : null,
+        note: type === VOICEMAIL_MESSAGE_NOTE_SAVED ? (voicemail.note ?? null) : null
+    };
+}
+
+/**
+ * Maps a successful voicemail update to the events it should publish.
+ * A delete is reported on its own; read and note changes each get an event.
+ */
+export function getUpdateMessageTypes(updates) {
+    if (updates.deleted) return [VOICEMAIL_MESSAGE_DELETED];
+    const types = [];
+    if (updates.read !== undefined) {
+        types.push(VOICEMAIL_MESSAGE_READ_CHANGED);
+    }
+    if (updates.note !== undefined) {
+        types.push(VOICEMAIL_MESSAGE_NOTE_SAVED);
+    }
+    return types;
+}
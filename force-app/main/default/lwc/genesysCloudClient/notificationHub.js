@@ -0,0 +1,384 @@
+/**
+ * Shares one notification connection between every viewer in every tab.
+ * Viewers in the same tab share this module; tabs elect one leader over a BroadcastChannel.
+ * Only the leader opens a WebSocket and it relays each event to the other tabs.
+ * The channel always carries the agent's voicemail topic; viewers can add topics of their own,
+ * which the leader subscribes to while any tab still needs them.
+ */
+
+import { createNotificationConnection, getVoicemailTopics } from './websocketUtils';
+
+const BROADCAST_CHANNEL_NAME = 'genesyscloud_voicemail_notifications';
+const LEADER_HEARTBEAT_MS = 2000;
+const LEADER_TIMEOUT_MS = 5000;
+const ELECTION_WAIT_MS = 500;
+const VOICEMAIL_TOPIC_SUFFIX = '.voicemail.messages';
+
+let hub = null;
+
+/**
+ * Registers a viewer for voicemail events. The first subscriber in a tab joins the election,
+ * the last one to unsubscribe leaves it. publish() relays a change made by this viewer to
+ * every other viewer, in this tab and others, without going through Genesys Cloud.
+ */
+export function subscribeToVoicemailNotifications({ region, onMessage, onConnectionChange = () => {} }) {
+    return addHubListener(region, {
+        topics: [],
+        accepts: isVoicemailMessage,
+        onMessage,
+        onConnectionChange,
+        onReady: () => {}
+    });
+}
+
+/**
+ * Registers a viewer for events on its own topics, such as a single conversation.
+ * onReady is called each time the shared channel is connected with these topics subscribed,
+ * so the viewer can catch up on anything that happened before the subscription was in place.
+ */
+export function subscribeToTopics({ region, topics, onMessage, onReady = () => {} }) {
+    return addHubListener(region, {
+        topics: [...topics],
+        accepts: (message) => topics.includes(message.topicName),
+        onMessage,
+        onConnectionChange: () => {},
+        onReady
+    });
+}
+
+// Relayed changes have no topic name and only ever describe voicemails
+function isVoicemailMessage(message) {
+    return !message.topicName || message.topicName.endsWith(VOICEMAIL_TOPIC_SUFFIX);
+}
+
+function addHubListener(region, listener) {
+    if (!hub) {
+        hub = createHub(region);
+    }
+    const currentHub = hub;
+    currentHub.addListener(listener);
+
+    return {
+        publish(message) {
+            currentHub.publish(message, listener);
+        },
+
+        unsubscribe() {
+            currentHub.removeListener(listener);
+            if (!currentHub.hasListeners() && hub === currentHub) {
+                currentHub.stop();
+                hub = null;
+            }
+        }
+    };
+}
+
+function createHub(region) {
+    const tabId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    const listeners = new Set();
+    const channel = typeof BroadcastChannel === 'function' ? new BroadcastChannel(BROADCAST_CHANNEL_NAME) : null;
+    // Topics other tabs need, by tab id; only used while leading
+    const remoteTopics = new Map();
+    let connection = null;
+    let isLeader = false;
+    let isCandidate = false;
+    let isConnected = false;
+    let leaderId = null;
+    let leaderSeenAt = 0;
+    let electionTimer = null;
+    let heartbeatTimer = null;
+    let voicemailTopics = null;
+    let requestedTopics = [];
+    let channelTopics = [];
+    // Topics the leader's channel is subscribed to, as last reported
+    let subscribedTopics = new Set();
+    let topicUpdate = Promise.resolve();
+
+    function post(data) {
+        if (channel) {
+            channel.postMessage({ ...data, tabId });
+        }
+    }
+
+    function deliver(message, sender) {
+        listeners.forEach((listener) => {
+            if (listener !== sender && listener.accepts(message)) {
+                listener.onMessage(message);
+            }
+        });
+    }
+
+    function setConnected(connected) {
+        isConnected = connected;
+        listeners.forEach((listener) => listener.onConnectionChange(connected));
+        refreshReady();
+    }
+
+    function getLocalTopics() {
+        const topics = new Set();
+        listeners.forEach((listener) => listener.topics.forEach((topic) => topics.add(topic)));
+        return [...topics];
+    }
+
+    // Topics every tab still needs, besides the voicemail topic
+    function getWantedTopics() {
+        const topics = new Set(getLocalTopics());
+        remoteTopics.forEach(({ topics: tabTopics }) => tabTopics.forEach((topic) => topics.add(topic)));
+        return [...topics].sort();
+    }
+
+    async function getChannelTopics() {
+        if (!voicemailTopics) {
+            voicemailTopics = await getVoicemailTopics(region);
+        }
+        requestedTopics = getWantedTopics();
+        channelTopics = [...voicemailTopics, ...requestedTopics];
+        return channelTopics;
+    }
+
+    function announceTopics() {
+        post({ type: 'topics', topics: getLocalTopics() });
+    }
+
+    function setSubscribedTopics(topics) {
+        subscribedTopics = new Set(topics);
+        refreshReady();
+    }
+
+    // Tells each listener once its topics are live, and again after every reconnect
+    function refreshReady() {
+        listeners.forEach((listener) => {
+            const ready = isConnected && listener.topics.every((topic) => subscribedTopics.has(topic));
+            if (ready && !listener.isReady) {
+                listener.isReady = true;
+                listener.onReady();
+            } else if (!ready) {
+                listener.isReady = false;
+            }
+        });
+    }
+
+    function postLeader() {
+        post({ type: 'leader', isConnected, topics: [...subscribedTopics] });
+    }
+
+    // Brings the leader's channel in line with the topics the tabs need
+    function syncTopics() {
+        if (!isLeader || !connection) {
+            return;
+        }
+        const wanted = getWantedTopics();
+        if (wanted.join() === requestedTopics.join()) {
+            return;
+        }
+        requestedTopics = wanted;
+        const currentConnection = connection;
+        topicUpdate = topicUpdate.then(async () => {
+            const applied = await currentConnection.updateTopics();
+            if (applied && currentConnection === connection) {
+                channelTopics = applied;
+                setSubscribedTopics(applied);
+                postLeader();
+            }
+        });
+    }
+
+    function becomeLeader() {
+        isCandidate = false;
+        if (isLeader) {
+            return;
+        }
+        isLeader = true;
+        leaderId = tabId;
+        connection = createNotificationConnection({
+            region,
+            getTopics: getChannelTopics,
+            onMessage: (message) => {
+                deliver(message);
+                post({ type: 'event', message });
+            },
+            onConnectionChange: (connected) => {
+                subscribedTopics = new Set(connected ? channelTopics : []);
+                setConnected(connected);
+                postLeader();
+                // Topics requested while the channel was being created are added now
+                syncTopics();
+            }
+        });
+        connection.start();
+        postLeader();
+    }
+
+    function stepDown() {
+        isLeader = false;
+        remoteTopics.clear();
+        requestedTopics = [];
+        channelTopics = [];
+        if (connection) {
+            connection.stop();
+            connection = null;
+        }
+    }
+
+    function startElection() {
+        if (isLeader || isCandidate) {
+            return;
+        }
+        isCandidate = true;
+        post({ type: 'claim' });
+        clearTimeout(electionTimer);
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        electionTimer = setTimeout(() => {
+            if (isCandidate) {
+                becomeLeader();
+            }
+        }, ELECTION_WAIT_MS);
+    }
+
+    function handleBroadcast(event) {
+        const data = event.data || {};
+        if (data.tabId === tabId) {
+            return;
+        }
+
+        switch (data.type) {
+            case 'hello':
+                if (isLeader) {
+                    postLeader();
+                }
+                break;
+            case 'claim':
+                if (isLeader) {
+                    postLeader();
+                } else if (isCandidate && data.tabId < tabId) {
+                    // Competing claims are settled by the lowest tab id
+                    isCandidate = false;
+                }
+                break;
+            case 'leader':
+                if (isLeader && data.tabId < tabId) {
+                    stepDown();
+                }
+                if (!isLeader) {
+                    isCandidate = false;
+                    leaderSeenAt = Date.now();
+                    if (leaderId !== data.tabId) {
+                        // A new leader does not know which topics this tab needs yet
+                        leaderId = data.tabId;
+                        announceTopics();
+                    }
+                    subscribedTopics = new Set(data.topics || []);
+                    if (data.isConnected !== isConnected) {
+                        setConnected(data.isConnected);
+                    } else {
+                        refreshReady();
+                    }
+                }
+                break;
+            case 'topics':
+                if (isLeader) {
+                    if (data.topics.length) {
+                        remoteTopics.set(data.tabId, { topics: data.topics, seenAt: Date.now() });
+                    } else {
+                        remoteTopics.delete(data.tabId);
+                    }
+                    syncTopics();
+                }
+                break;
+            case 'resign':
+                leaderSeenAt = 0;
+                leaderId = null;
+                startElection();
+                break;
+            case 'event':
+                deliver(data.message);
+                break;
+            default:
+                break;
+        }
+    }
+
+    function checkLeader() {
+        if (isLeader) {
+            // Tabs that closed without saying so stop refreshing their topics
+            remoteTopics.forEach(({ seenAt }, remoteTabId) => {
+                if (Date.now() - seenAt > LEADER_TIMEOUT_MS) {
+                    remoteTopics.delete(remoteTabId);
+                }
+            });
+            syncTopics();
+            postLeader();
+        } else {
+            if (getLocalTopics().length) {
+                announceTopics();
+            }
+            if (Date.now() - leaderSeenAt > LEADER_TIMEOUT_MS) {
+                startElection();
+            }
+        }
+    }
+
+    function handlePageHide() {
+        if (isLeader) {
+            post({ type: 'resign' });
+        }
+    }
+
+    if (channel) {
+        channel.onmessage = handleBroadcast;
+        window.addEventListener('pagehide', handlePageHide);
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        heartbeatTimer = setInterval(checkLeader, LEADER_HEARTBEAT_MS);
+        post({ type: 'hello' });
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        electionTimer = setTimeout(() => {
+            if (!leaderSeenAt) {
+                startElection();
+            }
+        }, ELECTION_WAIT_MS);
+    } else {
+        becomeLeader();
+    }
+
+    return {
+        addListener(listener) {
+            listeners.add(listener);
+            listener.onConnectionChange(isConnected);
+            if (listener.topics.length) {
+                announceTopics();
+                syncTopics();
+            }
+            refreshReady();
+        },
+
+        removeListener(listener) {
+            listeners.delete(listener);
+            if (listener.topics.length) {
+                announceTopics();
+                syncTopics();
+            }
+        },
+
+        hasListeners() {
+            return listeners.size > 0;
+        },
+
+        publish(message, sender) {
+            deliver(message, sender);
+            post({ type: 'event', message });
+        },
+
+        stop() {
+            if (isLeader) {
+                post({ type: 'resign' });
+            }
+            stepDown();
+            clearTimeout(electionTimer);
+            clearInterval(heartbeatTimer);
+            if (channel) {
+                window.removeEventListener('pagehide', handlePageHide);
+                channel.close();
+            }
+        }
+    };
+}
@@ -0,0 +1,57 @@
+/**
+ * Parsers for v2.users.{id}.voicemail.messages notification events
+ */
+
+export const VOICEMAIL_EVENT_CHANGED = 'changed';
+export const VOICEMAIL_EVENT_DELETED = 'deleted';
+
+// Voicemails created longer ago than this are updates to old messages, not new arrivals
+const NEW_VOICEMAIL_WINDOW_MS = 2 * 60 * 1000;
+
+/**
+ * Reads the voicemail id and changed fields out of a notification message.
+ * Returns null when the payload has no voicemail id, so the caller can fall back to a full reload.
+ * isComplete is true when the payload carries enough of the message to render a new card.
+ */
+export function parseVoicemailNotification(message) {
+    const body = message && message.eventBody;
+    if (!body || !body.id) {
+        return null;
+    }
+
+    if (body.deleted === true || body.mutationType === 'DELETED') {
+        return { id: body.id, type: VOICEMAIL_EVENT_DELETED };
+    }
+
+    const changes = {};
+    if (typeof body.read === 'boolean') {
+        changes.read = body.read;
+    }
+    if (typeof body.note === 'string') {
+        changes.note = body.note;
+    }
+    // Transcriptions are usually added a little after the voicemail itself
+    if (body.transcription) {
+        changes.transcription = body.transcription;
+    }
+
+    return {
+        id: body.id,
+        type: VOICEMAIL_EVENT_CHANGED,
+        changes,
+        voicemail: body,
+        isComplete: !!body.createdDate
+    };
+}
+
+/**
+ * True when a parsed event is a voicemail that has just been left, rather than
+ * a change to an older message that is not on the current page.
+ */
+export function isNewVoicemailEvent(event, now = Date.now()) {
+    if (!event || event.type !== VOICEMAIL_EVENT_CHANGED || !event.isComplete || event.voicemail.read) {
+        return false;
+    }
+    const createdTime = new Date(event.voicemail.createdDate).getTime();
+    return !Number.isNaN(createdTime) && now - createdTime <= NEW_VOICEMAIL_WINDOW_MS;
+}
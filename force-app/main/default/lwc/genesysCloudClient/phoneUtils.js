@@ -0,0 +1,37 @@
+/**
+ * Phone number normalization for matching voicemail callers to Salesforce records.
+ * VoicemailCallerLookup.cls applies the same rules to record phone fields.
+ */
+
+export const DEFAULT_COUNTRY_CODE = '1';
+
+const MIN_DIGITS = 7;
+const MAX_E164_DIGITS = 15;
+
+/**
+ * Converts a dialable number to E.164 (+13175550100).
+ * Numbers without a country code get defaultCountryCode; a leading 0 is treated as a trunk prefix
+ * and 00 as an international prefix. Returns null for extensions and other short or invalid numbers.
+ */
+export function normalizePhoneNumber(phoneNumber, defaultCountryCode = DEFAULT_COUNTRY_CODE) {
+    if (!phoneNumber) return null;
+    const value = String(phoneNumber).trim().replace(/^tel:/i, '');
+    const digits = value.replace(/\D/g, '');
+    const countryCode = String(defaultCountryCode || DEFAULT_COUNTRY_CODE).replace(/\D/g, '');
+
+    let e164Digits;
+    if (value.startsWith('+')) {
+        e164Digits = digits;
+    } else if (digits.startsWith('00')) {
+        e164Digits = digits.substring(2);
+    } else if (digits.startsWith('0')) {
+        e164Digits = countryCode + digits.substring(1);
+    } else if (countryCode === '1' && digits.length === 11 && digits.startsWith('1')) {
+        e164Digits = digits;
+    } else {
+        e164Digits = countryCode + digits;
+    }
+
+    if (digits.length < MIN_DIGITS || e164Digits.length > MAX_E164_DIGITS) return null;
+    return `+${e164Digits}`;
+}
@@ -0,0 +1,65 @@
+/**
+ * Local playback preferences: per-voicemail resume positions and the preferred speed
+ */
+
+const POSITIONS_KEY = 'genesyscloud_playback_positions';
+const RATE_KEY = 'genesyscloud_playback_rate';
+const MAX_SAVED_POSITIONS = 200;
+// Positions this close to the start or end are not worth resuming from
+const RESUME_MARGIN_SECONDS = 2;
+
+export const PLAYBACK_RATES = [1, 1.25, 1.5, 2];
+
+export function getPlaybackPosition(voicemailId) {
+    const saved = readPositions()[voicemailId];
+    return saved ? saved.position : 0;
+}
+
+export function savePlaybackPosition(voicemailId, position, duration) {
+    if (!voicemailId) return;
+    if (position < RESUME_MARGIN_SECONDS || (duration && position > duration - RESUME_MARGIN_SECONDS)) {
+        clearPlaybackPosition(voicemailId);
+        return;
+    }
+
+    const positions = readPositions();
+    positions[voicemailId] = { position, savedAt: Date.now() };
+
+    // Keep only the most recently played voicemails
+    const ids = Object.keys(positions);
+    if (ids.length > MAX_SAVED_POSITIONS) {
+        ids.sort((a, b) => positions[a].savedAt - positions[b].savedAt)
+            .slice(0, ids.length - MAX_SAVED_POSITIONS)
+            .forEach(id => delete positions[id]);
+    }
+    writePositions(positions);
+}
+
+export function clearPlaybackPosition(voicemailId) {
+    const positions = readPositions();
+    if (positions[voicemailId]) {
+        delete positions[voicemailId];
+        writePositions(positions);
+    }
+}
+
+export function getPlaybackRate() {
+    const rate = Number(localStorage.getItem(RATE_KEY));
+    return PLAYBACK_RATES.includes(rate) ? rate : 1;
+}
+
+export function savePlaybackRate(rate) {
+    localStorage.setItem(RATE_KEY, String(rate));
+}
+
+function readPositions() {
+    try {
+        return JSON.parse(localStorage.getItem(POSITIONS_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function writePositions(positions) {
+    localStorage.setItem(POSITIONS_KEY, JSON.stringify(positions));
+}
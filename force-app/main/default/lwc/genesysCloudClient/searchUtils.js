@@ -0,0 +1,140 @@
+/**
+ * Request builders for the /api/v2/voicemail/search endpoint
+ */
+
+import { getTranscriptText } from './formatUtils';
+
+export const READ_STATUS_ALL = 'all';
+export const READ_STATUS_UNREAD = 'unread';
+export const READ_STATUS_READ = 'read';
+
+export const SORT_BY_CREATED_TIME = 'createdTime';
+export const SORT_BY_DURATION = 'audioRecordingDurationSeconds';
+export const SORT_BY_CALLER = 'callerAddress';
+export const SORT_ORDER_ASC = 'ASC';
+export const SORT_ORDER_DESC = 'DESC';
+
+// Work queue mode always walks the inbox oldest-first
+export const WORK_QUEUE_SORT = Object.freeze({ sortBy: SORT_BY_CREATED_TIME, sortOrder: SORT_ORDER_ASC });
+
+export function createEmptyFilters() {
+    return {
+        readStatus: READ_STATUS_ALL,
+        fromDate: null,
+        toDate: null,
+        caller: '',
+        note: '',
+        transcript: ''
+    };
+}
+
+export function createDefaultSort() {
+    return {
+        sortBy: SORT_BY_CREATED_TIME,
+        sortOrder: SORT_ORDER_DESC
+    };
+}
+
+export function hasActiveFilters(filters) {
+    return buildFilterClauses(filters).length > 0 || !!getTranscriptFilter(filters);
+}
+
+function getTranscriptFilter(filters) {
+    return ((filters && filters.transcript) || '').trim().toLowerCase();
+}
+
+export function hasTranscriptFilter(filters) {
+    return !!getTranscriptFilter(filters);
+}
+
+/**
+ * The transcript filter is applied to the search results here rather than in the query,
+ * since transcription is not a field the search is known to index.
+ */
+export function matchesTranscriptFilter(voicemail, filters) {
+    const transcript = getTranscriptFilter(filters);
+    return !transcript || getTranscriptText(voicemail).toLowerCase().includes(transcript);
+}
+
+export function buildVoicemailSearchBody({ filters, sort = createDefaultSort(), pageSize, pageNumber, callerNumbers }) {
+    const query = [
+        { type: 'EXACT', fields: ['owner'], value: 'ALL' },
+        { type: 'EXACT', fields: ['deleted'], value: 'false' },
+        ...buildFilterClauses(filters)
+    ];
+    if (callerNumbers && callerNumbers.length) {
+        query.push(buildCallerNumbersClause(callerNumbers));
+    }
+
+    return {
+        sortOrder: sort.sortOrder,
+        sortBy: sort.sortBy,
+        pageSize: pageSize,
+        pageNumber: pageNumber,
+        query
+    };
+}
+
+/**
+ * True when changes to these voicemail fields can move a voicemail into or out of the filtered results.
+ * changes uses the field names of voicemail notifications (read, note, transcription).
+ */
+export function filtersDependOnChanges(filters, changes) {
+    if (!filters || !changes) return false;
+    const filtersReadState = filters.readStatus === READ_STATUS_UNREAD || filters.readStatus === READ_STATUS_READ;
+    return (changes.read !== undefined && filtersReadState) ||
+        (changes.note !== undefined && !!(filters.note || '').trim()) ||
+        (changes.transcription !== undefined && !!getTranscriptFilter(filters));
+}
+
+/**
+ * Matches voicemails left by any of the given E.164 numbers.
+ * The leading + is dropped so caller addresses saved without it still match.
+ */
+export function buildCallerNumbersClause(callerNumbers) {
+    return {
+        group: callerNumbers.map(number => ({
+            type: 'CONTAINS',
+            fields: ['callerAddress'],
+            value: number.replace(/^\+/, ''),
+            operator: 'OR'
+        }))
+    };
+}
+
+/**
+ * Turns the filter bar state into search query clauses.
+ * Dates are YYYY-MM-DD values from lightning-input and cover whole days in the agent's time zone.
+ * The transcript filter has no clause; see matchesTranscriptFilter.
+ */
+export function buildFilterClauses(filters) {
+    if (!filters) return [];
+    const clauses = [];
+
+    if (filters.readStatus === READ_STATUS_UNREAD || filters.readStatus === READ_STATUS_READ) {
+        clauses.push({ type: 'EXACT', fields: ['read'], value: String(filters.readStatus === READ_STATUS_READ) });
+    }
+
+    if (filters.fromDate || filters.toDate) {
+        const clause = { type: 'DATE_RANGE', fields: ['createdTime'] };
+        if (filters.fromDate) {
+            clause.startValue = new Date(`${filters.fromDate}T00:00:00`).toISOString();
+        }
+        if (filters.toDate) {
+            clause.endValue = new Date(`${filters.toDate}T23:59:59.999`).toISOString();
+        }
+        clauses.push(clause);
+    }
+
+    const caller = (filters.caller || '').trim();
+    if (caller) {
+        clauses.push({ type: 'CONTAINS', fields: ['callerAddress', 'callerName'], value: caller });
+    }
+
+    const note = (filters.note || '').trim();
+    if (note) {
+        clauses.push({ type: 'CONTAINS', fields: ['note'], value: note });
+    }
+
+    return clauses;
+}
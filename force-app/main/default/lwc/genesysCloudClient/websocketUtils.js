@@ -0,0 +1,242 @@
+/**
+ * WebSocket utilities for real-time notifications
+ */
+
+import { callGenesysCloudApi } from './apiUtils';
+import { withAccessToken } from './authSession';
+
+const HEARTBEAT_TOPIC = 'channel.metadata';
+const SOCKET_CLOSING_TOPIC = 'v2.system.socket_closing';
+// Genesys Cloud sends a heartbeat every 30 seconds, so two missed heartbeats mean a dead socket
+const HEARTBEAT_TIMEOUT_MS = 75000;
+const BASE_RECONNECT_DELAY_MS = 1000;
+const MAX_RECONNECT_DELAY_MS = 60000;
+// Channels expire after 24 hours; a channel this close to expiry is replaced instead of reused
+const CHANNEL_EXPIRY_MARGIN_MS = 60000;
+
+export async function getVoicemailTopics(region) {
+    const userId = await getCurrentUserId(region);
+    return [`v2.users.${userId}.voicemail.messages`];
+}
+
+// Events for one conversation, including the voicemails attached to it
+export function getConversationTopic(conversationId) {
+    return `v2.conversations.${conversationId}`;
+}
+
+async function getCurrentUserId(region) {
+    const user = await withAccessToken((accessToken) =>
+        callGenesysCloudApi('/api/v2/users/me', 'GET', null, accessToken, region)
+    );
+    return user.id;
+}
+
+/**
+ * Keeps one notification channel connected until stop() is called.
+ * Reconnects with exponential backoff and jitter, treats a missing channel.metadata heartbeat
+ * as a dead socket, moves to a new socket on v2.system.socket_closing, and reuses the
+ * existing channel and its subscriptions while Genesys Cloud still reports it as valid.
+ * getTopics is called when a new channel is created and by updateTopics().
+ */
+export function createNotificationConnection({ region, getTopics, onMessage, onConnectionChange = () => {} }) {
+    let channel = null;
+    let websocket = null;
+    let isConnected = false;
+    let stopped = true;
+    let reconnectAttempt = 0;
+    let reconnectTimer = null;
+    let heartbeatTimer = null;
+
+    function callApi(endpoint, method, body) {
+        return withAccessToken((accessToken) => callGenesysCloudApi(endpoint, method, body, accessToken, region));
+    }
+
+    function setConnected(connected) {
+        if (connected !== isConnected) {
+            isConnected = connected;
+            onConnectionChange(connected);
+        }
+    }
+
+    async function connect() {
+        try {
+            const activeChannel = await getUsableChannel();
+            if (!stopped) {
+                openSocket(activeChannel.connectUri);
+            }
+        } catch (error) {
+            console.error('❌ Notification channel setup failed:', error);
+            scheduleReconnect();
+        }
+    }
+
+    async function getUsableChannel() {
+        if (channel && await isChannelValid(channel)) {
+            return channel;
+        }
+
+        console.log('Setting up WebSocket notifications...');
+        const channelResponse = await callApi('/api/v2/notifications/channels', 'POST', {});
+        const topics = await getTopics();
+        console.log('Subscribing to:', topics.join(', '));
+        await callApi(
+            `/api/v2/notifications/channels/${channelResponse.id}/subscriptions`,
+            'POST',
+            topics.map((id) => ({ id }))
+        );
+
+        channel = {
+            id: channelResponse.id,
+            connectUri: channelResponse.connectUri,
+            expires: channelResponse.expires ? Date.parse(channelResponse.expires) : null
+        };
+        return channel;
+    }
+
+    async function isChannelValid(candidate) {
+        if (candidate.expires && candidate.expires - Date.now() < CHANNEL_EXPIRY_MARGIN_MS) {
+            return false;
+        }
+        try {
+            await callApi(`/api/v2/notifications/channels/${candidate.id}`, 'HEAD', null);
+            return true;
+        } catch (error) {
+            if (error.status === 404) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    function openSocket(connectUri) {
+        closeSocket();
+        const socket = new WebSocket(connectUri);
+        websocket = socket;
+
+        socket.onopen = () => {
+            reconnectAttempt = 0;
+            setConnected(true);
+            resetHeartbeatTimer();
+            console.log('✅ WebSocket connected - Real-time updates active');
+        };
+
+        socket.onmessage = (event) => handleSocketMessage(event);
+
+        socket.onerror = (error) => {
+            console.error('❌ WebSocket error:', error);
+        };
+
+        socket.onclose = (event) => {
+            // Sockets replaced or closed on purpose are not reconnected
+            if (socket !== websocket) {
+                return;
+            }
+            console.log('WebSocket closed:', event.code, event.reason);
+            websocket = null;
+            clearTimeout(heartbeatTimer);
+            setConnected(false);
+            scheduleReconnect();
+        };
+    }
+
+    function closeSocket() {
+        if (websocket) {
+            const socket = websocket;
+            websocket = null;
+            socket.close();
+        }
+    }
+
+    function handleSocketMessage(event) {
+        resetHeartbeatTimer();
+
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (error) {
+            console.error('Unreadable WebSocket message:', error);
+            return;
+        }
+
+        if (message.topicName === HEARTBEAT_TOPIC) {
+            return;
+        }
+        if (message.topicName === SOCKET_CLOSING_TOPIC) {
+            // The server drops this socket within a minute; the channel itself stays valid
+            console.log('WebSocket closing soon, reconnecting...');
+            clearTimeout(reconnectTimer);
+            connect();
+            return;
+        }
+        onMessage(message);
+    }
+
+    function resetHeartbeatTimer() {
+        clearTimeout(heartbeatTimer);
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        heartbeatTimer = setTimeout(() => {
+            console.warn('No WebSocket heartbeat received, reconnecting...');
+            closeSocket();
+            setConnected(false);
+            scheduleReconnect();
+        }, HEARTBEAT_TIMEOUT_MS);
+    }
+
+    function scheduleReconnect() {
+        if (stopped) {
+            return;
+        }
+        clearTimeout(reconnectTimer);
+        const delay = getReconnectDelay(reconnectAttempt);
+        reconnectAttempt++;
+        console.log(`Reconnecting WebSocket in ${delay}ms...`);
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        reconnectTimer = setTimeout(() => connect(), delay);
+    }
+
+    return {
+        start() {
+            if (stopped) {
+                stopped = false;
+                connect();
+            }
+        },
+
+        stop() {
+            stopped = true;
+            clearTimeout(reconnectTimer);
+            clearTimeout(heartbeatTimer);
+            closeSocket();
+            setConnected(false);
+        },
+
+        getChannelId() {
+            return channel ? channel.id : null;
+        },
+
+        /**
+         * Replaces the channel's subscriptions with the current getTopics() list.
+         * Resolves to the topics now subscribed, or null when there is no channel yet or the update failed;
+         * a channel created later subscribes to the current topics anyway.
+         */
+        async updateTopics() {
+            if (!channel) {
+                return null;
+            }
+            try {
+                const channelId = channel.id;
+                const topics = await getTopics();
+                await callApi(`/api/v2/notifications/channels/${channelId}/subscriptions`, 'PUT', topics.map((id) => ({ id })));
+                return topics;
+            } catch (error) {
+                console.error('❌ Notification subscription update failed:', error);
+                return null;
+            }
+        }
+    };
+}
+
+function getReconnectDelay(attempt) {
+    const backoff = Math.min(BASE_RECONNECT_DELAY_MS * (2 ** attempt), MAX_RECONNECT_DELAY_MS);
+    return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+}
@@ -0,0 +1,93 @@
+import { createElement } from '@lwc/engine-dom';
+import VoicemailAudioPlayer from 'c/voicemailAudioPlayer';
+
+describe('c-voicemail-audio-player', () => {
+    beforeEach(() => {
+        jest.spyOn(HTMLMediaElement.prototype, 'play').mockImplementation(() => Promise.resolve());
+        jest.spyOn(HTMLMediaElement.prototype, 'pause').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        localStorage.clear();
+        jest.restoreAllMocks();
+    });
+
+    function createPlayer(duration = 60) {
+        const element = createElement('c-voicemail-audio-player', { is: VoicemailAudioPlayer });
+        element.src = 'https://media/vm-1.wav';
+        element.voicemailId = 'vm-1';
+        document.body.appendChild(element);
+
+        const audio = element.shadowRoot.querySelector('audio');
+        Object.defineProperty(audio, 'duration', { value: duration, configurable: true });
+        audio.dispatchEvent(new CustomEvent('loadedmetadata'));
+        return { element, audio };
+    }
+
+    it('resumes from the saved position', async () => {
+        localStorage.setItem('genesyscloud_playback_positions', JSON.stringify({ 'vm-1': { position: 21, savedAt: 1 } }));
+
+        const { element, audio } = createPlayer();
+        await Promise.resolve();
+
+        expect(audio.currentTime).toBe(21);
+        expect(element.shadowRoot.querySelector('.time').textContent).toBe('0:21');
+    });
+
+    it('skips five seconds and changes speed from the keyboard', async () => {
+        const { element, audio } = createPlayer();
+        audio.currentTime = 10;
+        const player = element.shadowRoot.querySelector('.player');
+
+        player.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowRight' }));
+        expect(audio.currentTime).toBe(15);
+        player.dispatchEvent(new KeyboardEvent('keydown', { key: 'j' }));
+        expect(audio.currentTime).toBe(10);
+
+        player.dispatchEvent(new KeyboardEvent('keydown', { key: '>' }));
+        await Promise.resolve();
+        expect(audio.playbackRate).toBe(1.25);
+        expect(localStorage.getItem('genesyscloud_playback_rate')).toBe('1.25');
+        const selected = [...element.shadowRoot.querySelectorAll('.rate-button')].find(button => button.variant === 'brand');
+        expect(selected.label).toBe('1.25x');
+
+        player.dispatchEvent(new KeyboardEvent('keydown', { key: ' ' }));
+        expect(HTMLMediaElement.prototype.play).toHaveBeenCalled();
+    });
+
+    it('seeks with the progress bar', async () => {
+        const { element, audio } = createPlayer();
+        await Promise.resolve();
+        const progress = element.shadowRoot.querySelector('.progress');
+
+        progress.value = '42';
+        progress.dispatchEvent(new CustomEvent('input'));
+
+        expect(audio.currentTime).toBe(42);
+    });
+
+    it('clears the saved position and fires ended when playback finishes', () => {
+        localStorage.setItem('genesyscloud_playback_positions', JSON.stringify({ 'vm-1': { position: 21, savedAt: 1 } }));
+        const { element, audio } = createPlayer();
+        const handler = jest.fn();
+        element.addEventListener('ended', handler);
+
+        audio.dispatchEvent(new CustomEvent('ended'));
+
+        expect(handler).toHaveBeenCalled();
+        expect(JSON.parse(localStorage.getItem('genesyscloud_playback_positions'))).toEqual({});
+    });
+
+    it('fires playbackstart when the audio starts playing', () => {
+        const { element, audio } = createPlayer();
+        const handler = jest.fn();
+        element.addEventListener('playbackstart', handler);
+
+        audio.dispatchEvent(new CustomEvent('play'));
+
+        expect(handler).toHaveBeenCalledTimes(1);
+    });
+});
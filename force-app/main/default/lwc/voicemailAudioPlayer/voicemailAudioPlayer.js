@@ -0,0 +1,178 @@
+/**
+ * VoicemailAudioPlayer Lightning Web Component
+ * Plays one voicemail with speed control, 5 second skips, a scrubbable progress bar and keyboard shortcuts.
+ * The play position is saved locally so reopening a voicemail resumes where the agent stopped.
+ * Fires "ended" when playback reaches the end and "mediaerror" when the audio cannot be loaded.
+ */
+
+import { LightningElement, api, track } from 'lwc';
+import {
+    formatDuration,
+    PLAYBACK_RATES,
+    getPlaybackPosition,
+    savePlaybackPosition,
+    clearPlaybackPosition,
+    getPlaybackRate,
+    savePlaybackRate
+} from 'c/genesysCloudClient';
+
+const SKIP_SECONDS = 5;
+const POSITION_SAVE_INTERVAL_SECONDS = 1;
+
+export default class VoicemailAudioPlayer extends LightningElement {
+    @api src;
+    @api voicemailId;
+
+    @track isPlaying = false;
+    @track currentTime = 0;
+    @track duration = 0;
+    @track playbackRate = getPlaybackRate();
+    lastSavedTime = 0;
+
+    get audio() {
+        return this.template.querySelector('audio');
+    }
+
+    get playButtonIcon() {
+        return this.isPlaying ? 'utility:pause' : 'utility:play';
+    }
+
+    get playButtonLabel() {
+        return this.isPlaying ? 'Pause' : 'Play';
+    }
+
+    get formattedCurrentTime() {
+        return formatDuration(this.currentTime);
+    }
+
+    get formattedDuration() {
+        return formatDuration(this.duration);
+    }
+
+    get rateOptions() {
+        return PLAYBACK_RATES.map(rate => ({
+            label: `${rate}x`,
+            value: rate,
+            variant: rate === this.playbackRate ? 'brand' : 'neutral'
+        }));
+    }
+
+    disconnectedCallback() {
+        if (this.currentTime > 0 && this.currentTime < this.duration) {
+            savePlaybackPosition(this.voicemailId, this.currentTime, this.duration);
+        }
+    }
+
+    handleLoadedMetadata() {
+        const audio = this.audio;
+        this.duration = Number.isFinite(audio.duration) ? audio.duration : 0;
+        audio.playbackRate = this.playbackRate;
+
+        const savedPosition = getPlaybackPosition(this.voicemailId);
+        if (savedPosition && (!this.duration || savedPosition < this.duration)) {
+            audio.currentTime = savedPosition;
+            this.currentTime = savedPosition;
+            this.lastSavedTime = savedPosition;
+        }
+    }
+
+    handleTimeUpdate() {
+        this.currentTime = this.audio.currentTime;
+        if (Math.abs(this.currentTime - this.lastSavedTime) >= POSITION_SAVE_INTERVAL_SECONDS) {
+            this.lastSavedTime = this.currentTime;
+            savePlaybackPosition(this.voicemailId, this.currentTime, this.duration);
+        }
+    }
+
+    handlePlay() {
+        this.isPlaying = true;
+        this.dispatchEvent(new CustomEvent('playbackstart'));
+    }
+
+    handlePause() {
+        this.isPlaying = false;
+        savePlaybackPosition(this.voicemailId, this.audio.currentTime, this.duration);
+    }
+
+    handleEnded() {
+        this.isPlaying = false;
+        this.currentTime = 0;
+        clearPlaybackPosition(this.voicemailId);
+        this.dispatchEvent(new CustomEvent('ended'));
+    }
+
+    handleError() {
+        this.isPlaying = false;
+        this.dispatchEvent(new CustomEvent('mediaerror'));
+    }
+
+    handleTogglePlay() {
+        const audio = this.audio;
+        if (audio.paused) {
+            const playback = audio.play();
+            if (playback) {
+                playback.catch(error => console.error('Audio playback error:', error));
+            }
+        } else {
+            audio.pause();
+        }
+    }
+
+    handleSkipBack() {
+        this.seek(this.audio.currentTime - SKIP_SECONDS);
+    }
+
+    handleSkipForward() {
+        this.seek(this.audio.currentTime + SKIP_SECONDS);
+    }
+
+    handleSeek(event) {
+        this.seek(Number(event.target.value));
+    }
+
+    handleRateClick(event) {
+        this.setPlaybackRate(Number(event.currentTarget.dataset.rate));
+    }
+
+    // Space/K play or pause, arrows or J/L skip 5 seconds, < and > change speed
+    handleKeyDown(event) {
+        const rateIndex = PLAYBACK_RATES.indexOf(this.playbackRate);
+        switch (event.key) {
+            case ' ':
+            case 'k':
+                this.handleTogglePlay();
+                break;
+            case 'ArrowLeft':
+            case 'j':
+                this.handleSkipBack();
+                break;
+            case 'ArrowRight':
+            case 'l':
+                this.handleSkipForward();
+                break;
+            case '<':
+                this.setPlaybackRate(PLAYBACK_RATES[Math.max(rateIndex - 1, 0)]);
+                break;
+            case '>':
+                this.setPlaybackRate(PLAYBACK_RATES[Math.min(rateIndex + 1, PLAYBACK_RATES.length - 1)]);
+                break;
+            default:
+                return;
+        }
+        event.preventDefault();
+        event.stopPropagation();
+    }
+
+    seek(time) {
+        const audio = this.audio;
+        const maxTime = this.duration || audio.duration || 0;
+        audio.currentTime = Math.min(Math.max(time, 0), maxTime);
+        this.currentTime = audio.currentTime;
+    }
+
+    setPlaybackRate(rate) {
+        this.playbackRate = rate;
+        this.audio.playbackRate = rate;
+        savePlaybackRate(rate);
+    }
+}
@@ -0,0 +1,81 @@
+import { createElement } from '@lwc/engine-dom';
+import VoicemailCard from 'c/voicemailCard';
+
+const VOICEMAIL = {
+    id: 'vm-1',
+    callerAddress: 'tel:+13175550100',
+    callerClass: 'unread-text',
+    cardClass: 'slds-card slds-m-bottom_small unread-card',
+    read: false,
+    note: '',
+    formattedDuration: '0:42',
+    isExpanded: false
+};
+
+describe('c-voicemail-card', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    function createCard(voicemail) {
+        const element = createElement('c-voicemail-card', { is: VoicemailCard });
+        element.voicemail = { ...VOICEMAIL, ...voicemail };
+        document.body.appendChild(element);
+        return element;
+    }
+
+    it('shows the caller beside click-to-dial only when the number can be dialled', () => {
+        const plain = createCard();
+        const dialable = createCard({ phoneNumber: '+13175550100', callerMatch: { name: 'Pat Caller', objectApiName: 'Contact' } });
+
+        expect(plain.shadowRoot.querySelector('strong').textContent).toBe('tel:+13175550100');
+        expect(plain.shadowRoot.querySelector('lightning-click-to-dial')).toBeNull();
+        expect(plain.shadowRoot.querySelector('.caller-match')).toBeNull();
+        expect(dialable.shadowRoot.querySelector('strong').textContent).toBe('(tel:+13175550100)');
+        expect(dialable.shadowRoot.querySelector('lightning-click-to-dial').value).toBe('+13175550100');
+        expect(dialable.shadowRoot.querySelector('.caller-match a').textContent).toBe('Pat Caller');
+    });
+
+    it('asks the owner to expand it when clicked and to open the matched record from its link', () => {
+        const element = createCard({ callerMatch: { recordId: '003000000000001AAA', objectApiName: 'Contact', name: 'Pat Caller' } });
+        const cardClick = jest.fn();
+        const openRecord = jest.fn();
+        element.addEventListener('cardclick', cardClick);
+        element.addEventListener('opencallerrecord', openRecord);
+
+        element.shadowRoot.querySelector('.slds-card__body').click();
+        element.shadowRoot.querySelector('.caller-match a').click();
+
+        expect(cardClick).toHaveBeenCalledTimes(1);
+        expect(openRecord.mock.calls[0][0].detail).toEqual({ recordId: '003000000000001AAA', objectApiName: 'Contact' });
+    });
+
+    it('passes player and note events on to the owner without toggling the card', async () => {
+        const element = createCard({ isExpanded: true, isEditing: true, audioUrl: 'https://media/vm-1.wav' });
+        const handlers = {};
+        ['cardclick', 'ended', 'mediaerror', 'notechange', 'savenote', 'canceledit'].forEach(name => {
+            handlers[name] = jest.fn();
+            element.addEventListener(name, handlers[name]);
+        });
+        await Promise.resolve();
+
+        const player = element.shadowRoot.querySelector('c-voicemail-audio-player');
+        player.dispatchEvent(new CustomEvent('ended'));
+        player.dispatchEvent(new CustomEvent('mediaerror'));
+        const textarea = element.shadowRoot.querySelector('lightning-textarea');
+        textarea.value = 'Called back';
+        textarea.dispatchEvent(new CustomEvent('change', { bubbles: true }));
+        const buttons = Array.from(element.shadowRoot.querySelectorAll('lightning-button'));
+        buttons.find(button => button.label === 'Save').click();
+        buttons.find(button => button.label === 'Cancel').click();
+
+        expect(handlers.ended).toHaveBeenCalledTimes(1);
+        expect(handlers.mediaerror).toHaveBeenCalledTimes(1);
+        expect(handlers.notechange.mock.calls[0][0].detail).toEqual({ value: 'Called back' });
+        expect(handlers.savenote).toHaveBeenCalledTimes(1);
+        expect(handlers.canceledit).toHaveBeenCalledTimes(1);
+        expect(handlers.cardclick).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,65 @@
+/**
+ * VoicemailCard Lightning Web Component
+ * Shows one voicemail for voicemailViewer and acdVoicemailViewer: caller, time and read state,
+ * with the player, transcript and notes once the owner expands it.
+ * The owner keeps the voicemail state and places its own controls in the "selection" and "actions" slots.
+ * Fires cardclick, editnote, notechange, savenote, canceledit, playbackstart, ended, mediaerror and opencallerrecord.
+ */
+
+import { LightningElement, api } from 'lwc';
+
+export default class VoicemailCard extends LightningElement {
+    @api voicemail;
+
+    // Click-to-dial already shows the number, so the raw address is kept alongside it in brackets
+    get callerLabel() {
+        return this.voicemail.phoneNumber ? `(${this.voicemail.callerAddress})` : this.voicemail.callerAddress;
+    }
+
+    get callerAddressClass() {
+        return this.voicemail.phoneNumber ? 'slds-col slds-truncate caller-address_dialable' : 'slds-col slds-truncate';
+    }
+
+    handleCardClick() {
+        this.dispatchEvent(new CustomEvent('cardclick'));
+    }
+
+    handleStopPropagation(event) {
+        event.stopPropagation();
+    }
+
+    handleOpenCallerRecord(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        const { recordId, objectApiName } = this.voicemail.callerMatch;
+        this.dispatchEvent(new CustomEvent('opencallerrecord', { detail: { recordId, objectApiName } }));
+    }
+
+    handlePlaybackStart() {
+        this.dispatchEvent(new CustomEvent('playbackstart'));
+    }
+
+    handleAudioEnded() {
+        this.dispatchEvent(new CustomEvent('ended'));
+    }
+
+    handleAudioError() {
+        this.dispatchEvent(new CustomEvent('mediaerror'));
+    }
+
+    handleEditNote() {
+        this.dispatchEvent(new CustomEvent('editnote'));
+    }
+
+    handleNoteChange(event) {
+        this.dispatchEvent(new CustomEvent('notechange', { detail: { value: event.target.value } }));
+    }
+
+    handleSaveNote() {
+        this.dispatchEvent(new CustomEvent('savenote'));
+    }
+
+    handleCancelEdit() {
+        this.dispatchEvent(new CustomEvent('canceledit'));
+    }
+}
@@ -0,0 +1,943 @@
+import { createElement } from '@lwc/engine-dom';
+import VoicemailViewer from 'c/voicemailViewer';
+import { getRecord } from 'lightning/uiRecordApi';
+import { publish, subscribe } from 'lightning/messageService';
+import LightningConfirm from 'lightning/confirm';
+import findCallerMatches from '@salesforce/apex/VoicemailCallerLookup.findCallerMatches';
+import logVoicemailActivity from '@salesforce/apex/VoicemailActivityLogger.logVoicemails';
+
+jest.mock(
+    '@salesforce/apex/VoicemailCallerLookup.findCallerMatches',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/VoicemailActivityLogger.logVoicemails',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+function mockResponse(status, body) {
+    return Promise.resolve({
+        ok: status >= 200 && status < 300,
+        status,
+        headers: new Headers(),
+        text: () => Promise.resolve(JSON.stringify(body))
+    });
+}
+
+function flushPromises() {
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+// Card content is rendered inside each c-voicemail-card
+function queryCards(element, selector) {
+    return Array.from(element.shadowRoot.querySelectorAll('c-voicemail-card'))
+        .flatMap(card => Array.from(card.shadowRoot.querySelectorAll(selector)));
+}
+
+function queryCard(element, selector) {
+    return queryCards(element, selector)[0] || null;
+}
+
+const SEARCH_RESULTS = {
+    pageCount: 1,
+    results: [
+        { id: 'vm-1', callerAddress: 'tel:+13175550100', createdDate: new Date().toISOString(), read: false, note: '' }
+    ]
+};
+
+const GROUP_RESULTS = [
+    { id: 'vm-group-1', callerAddress: 'tel:+13175550199', createdDate: new Date().toISOString(), read: false, note: '' }
+];
+
+describe('c-voicemail-viewer', () => {
+    let patchResponse;
+    let socket;
+
+    beforeEach(() => {
+        localStorage.setItem('genesyscloud_access_token', 'token');
+        localStorage.setItem('genesyscloud_token_expiration', String(Date.now() + 3600 * 1000));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        findCallerMatches.mockReset();
+        findCallerMatches.mockResolvedValue({});
+        logVoicemailActivity.mockReset();
+        logVoicemailActivity.mockResolvedValue(['00T000000000001AAA']);
+        publish.mockClear();
+        subscribe.mockClear();
+        global.WebSocket = jest.fn(() => {
+            socket = { close() {} };
+            return socket;
+        });
+        global.fetch = jest.fn((url, options) => {
+            if (options.method === 'PATCH') {
+                return patchResponse;
+            }
+            if (url.includes('/media')) {
+                return mockResponse(200, { mediaFileUri: 'https://media/vm-1.wav' });
+            }
+            if (url.includes('/voicemail/groups/')) {
+                return mockResponse(200, { pageCount: 1, entities: GROUP_RESULTS });
+            }
+            if (url.includes('/users/me?expand=organization')) {
+                return mockResponse(200, { id: 'user-1', organization: { id: 'org-1' } });
+            }
+            return mockResponse(200, url.includes('/voicemail/search') ? SEARCH_RESULTS : {});
+        });
+    });
+
+    afterEach(async () => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        // Let a delete still held for undo finish sending before fetch is removed
+        await flushPromises();
+        localStorage.clear();
+        delete global.fetch;
+        delete global.WebSocket;
+        jest.restoreAllMocks();
+    });
+
+    async function createViewer(properties = {}) {
+        const element = createElement('c-voicemail-viewer', { is: VoicemailViewer });
+        element.genesysCloudClientId = 'client-id';
+        Object.assign(element, properties);
+        document.body.appendChild(element);
+        await flushPromises();
+        return element;
+    }
+
+    async function toggleRead(element) {
+        element.shadowRoot.querySelector('.three-dots-btn').click();
+        await Promise.resolve();
+        element.shadowRoot.querySelector('.menu-item').click();
+        await Promise.resolve();
+    }
+
+    it('shows the login button without opening the login popup when there is no session', async () => {
+        localStorage.clear();
+        const open = jest.spyOn(window, 'open').mockImplementation(() => null);
+
+        const element = await createViewer();
+
+        expect(open).not.toHaveBeenCalled();
+        expect(findButton(element, 'Check for Voicemail')).toBeDefined();
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('shows a voicemail as read before the update is confirmed', async () => {
+        let resolvePatch;
+        patchResponse = new Promise((resolve) => {
+            resolvePatch = resolve;
+        });
+        const element = await createViewer();
+
+        await toggleRead(element);
+
+        expect(queryCard(element, '.read-text')).not.toBeNull();
+        expect(queryCard(element, '.saving-indicator')).not.toBeNull();
+
+        resolvePatch(mockResponse(200, {}));
+        await flushPromises();
+
+        expect(queryCard(element, '.read-text')).not.toBeNull();
+        expect(queryCard(element, '.saving-indicator')).toBeNull();
+    });
+
+    it('rolls back and reports the failure on the card when the update fails', async () => {
+        patchResponse = mockResponse(400, { message: 'Bad request' });
+        const element = await createViewer();
+
+        await toggleRead(element);
+        await flushPromises();
+
+        expect(queryCard(element, '.read-text')).toBeNull();
+        expect(queryCard(element, '.unread-text')).not.toBeNull();
+        expect(queryCard(element, '.slds-text-color_error').textContent)
+            .toContain('Could not mark as read');
+    });
+
+    async function clickDelete(element) {
+        element.shadowRoot.querySelector('.three-dots-btn').click();
+        await Promise.resolve();
+        Array.from(element.shadowRoot.querySelectorAll('.menu-item'))
+            .find(item => item.textContent.trim() === 'Delete Voicemail')
+            .click();
+    }
+
+    async function deleteFirstVoicemail(element) {
+        await clickDelete(element);
+        await flushPromises();
+    }
+
+    const deleteRequests = () => global.fetch.mock.calls
+        .filter(([, options]) => options.method === 'PATCH' && JSON.parse(options.body).deleted === true);
+
+    it('hides a deleted voicemail and offers Undo before sending the delete', async () => {
+        const element = await createViewer();
+
+        await deleteFirstVoicemail(element);
+
+        expect(element.shadowRoot.querySelector('[data-card-id="vm-1"]')).toBeNull();
+        expect(element.shadowRoot.querySelector('.undo-toast').textContent)
+            .toContain('Voicemail from tel:+13175550100 deleted');
+        expect(deleteRequests()).toHaveLength(0);
+    });
+
+    it('restores the voicemail without deleting it when the agent clicks Undo', async () => {
+        const element = await createViewer();
+        await deleteFirstVoicemail(element);
+
+        findButton(element, 'Undo').click();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('[data-card-id="vm-1"]')).not.toBeNull();
+        expect(element.shadowRoot.querySelector('.undo-toast')).toBeNull();
+        expect(deleteRequests()).toHaveLength(0);
+    });
+
+    it('sends the delete once the undo window has passed', async () => {
+        patchResponse = mockResponse(200, {});
+        const element = await createViewer();
+        jest.useFakeTimers();
+        try {
+            await clickDelete(element);
+            jest.advanceTimersByTime(6000);
+        } finally {
+            jest.useRealTimers();
+        }
+        await flushPromises();
+
+        expect(deleteRequests()).toHaveLength(1);
+        expect(deleteRequests()[0][0]).toContain('/voicemail/messages/vm-1');
+        expect(element.shadowRoot.querySelector('.undo-toast')).toBeNull();
+        expect(element.shadowRoot.querySelector('[data-card-id="vm-1"]')).toBeNull();
+    });
+
+    it('restores the voicemail with an error when the delete fails', async () => {
+        patchResponse = mockResponse(500, { message: 'Server error' });
+        const element = await createViewer();
+        jest.useFakeTimers();
+        try {
+            await clickDelete(element);
+            jest.advanceTimersByTime(6000);
+        } finally {
+            jest.useRealTimers();
+        }
+        await flushPromises();
+
+        expect(deleteRequests()).toHaveLength(1);
+        expect(element.shadowRoot.querySelector('[data-card-id="vm-1"]')).not.toBeNull();
+        expect(queryCard(element, '.slds-text-color_error').textContent)
+            .toContain('Delete failed. The voicemail was restored.');
+    });
+
+    it('keeps the voicemail when the agent cancels the delete confirmation', async () => {
+        const confirm = jest.spyOn(LightningConfirm, 'open').mockResolvedValue(false);
+        const element = await createViewer({ confirmBeforeDelete: true });
+
+        await deleteFirstVoicemail(element);
+
+        expect(confirm).toHaveBeenCalledWith(expect.objectContaining({ label: 'Delete voicemail?' }));
+        expect(element.shadowRoot.querySelector('[data-card-id="vm-1"]')).not.toBeNull();
+        expect(element.shadowRoot.querySelector('.undo-toast')).toBeNull();
+
+        confirm.mockResolvedValue(true);
+        await deleteFirstVoicemail(element);
+
+        expect(element.shadowRoot.querySelector('[data-card-id="vm-1"]')).toBeNull();
+        expect(element.shadowRoot.querySelector('.undo-toast')).not.toBeNull();
+    });
+
+    it('applies notification payloads without searching again', async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const element = await createViewer();
+        const searchCount = () => global.fetch.mock.calls.filter(([url]) => url.includes('/voicemail/search')).length;
+        const searchesBefore = searchCount();
+
+        const notify = (eventBody) => socket.onmessage({
+            data: JSON.stringify({ topicName: 'v2.users.user-1.voicemail.messages', eventBody })
+        });
+        notify({ id: 'vm-1', read: true });
+        notify({
+            id: 'vm-2',
+            read: false,
+            createdDate: new Date(Date.now() + 1000).toISOString(),
+            callerAddress: 'tel:+13175550111'
+        });
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        await new Promise((resolve) => setTimeout(resolve, 600));
+
+        expect(searchCount()).toBe(searchesBefore);
+        expect(queryCards(element, '.read-text')).toHaveLength(1);
+        expect(queryCards(element, '.unread-text')).toHaveLength(1);
+        expect(queryCard(element, '.unread-text').title).toBe('tel:+13175550111');
+    });
+
+    it('applies relayed changes to voicemails on other pages without searching again', async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await createViewer();
+        const searchCount = () => global.fetch.mock.calls.filter(([url]) => url.includes('/voicemail/search')).length;
+        const searchesBefore = searchCount();
+
+        const notify = (eventBody) => socket.onmessage({
+            data: JSON.stringify({ topicName: 'v2.users.user-1.voicemail.messages', eventBody })
+        });
+        // Same shape as the updates other viewers relay through the hub
+        notify({ id: 'vm-9', read: true });
+        notify({ id: 'vm-9', note: 'Called back' });
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        await new Promise((resolve) => setTimeout(resolve, 600));
+
+        expect(searchCount()).toBe(searchesBefore);
+    });
+
+    it('searches again when an active filter depends on a change to a voicemail on another page', async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const element = await createViewer();
+        Array.from(element.shadowRoot.querySelectorAll('lightning-button-icon'))
+            .find(button => button.alternativeText === 'Filter and sort voicemails')
+            .click();
+        await flushPromises();
+        const status = Array.from(element.shadowRoot.querySelectorAll('lightning-combobox'))
+            .find(combobox => combobox.label === 'Status');
+        status.dispatchEvent(new CustomEvent('change', { detail: { value: 'unread' } }));
+        await flushPromises();
+        const searchCount = () => global.fetch.mock.calls.filter(([url]) => url.includes('/voicemail/search')).length;
+        const searchesBefore = searchCount();
+
+        socket.onmessage({
+            data: JSON.stringify({
+                topicName: 'v2.users.user-1.voicemail.messages',
+                eventBody: { id: 'vm-9', read: false }
+            })
+        });
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        await new Promise((resolve) => setTimeout(resolve, 600));
+
+        expect(searchCount()).toBe(searchesBefore + 1);
+    });
+
+    it('announces a newly left voicemail once so the utility bar can react', async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const element = await createViewer();
+        const handler = jest.fn();
+        element.addEventListener('newvoicemail', handler);
+
+        const notify = (eventBody) => socket.onmessage({
+            data: JSON.stringify({ topicName: 'v2.users.user-1.voicemail.messages', eventBody })
+        });
+        const newVoicemail = {
+            id: 'vm-2',
+            read: false,
+            createdDate: new Date().toISOString(),
+            callerAddress: 'tel:+13175550111'
+        };
+        notify(newVoicemail);
+        notify({ id: 'vm-1', read: true });
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        await new Promise((resolve) => setTimeout(resolve, 600));
+        notify({ ...newVoicemail, note: 'Call back' });
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        await new Promise((resolve) => setTimeout(resolve, 600));
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler.mock.calls[0][0].detail).toEqual({ voicemailId: 'vm-2', callerAddress: 'tel:+13175550111' });
+    });
+
+    it('scrolls to a voicemail when asked to reveal it', async () => {
+        const scrollIntoView = jest.fn();
+        Element.prototype.scrollIntoView = scrollIntoView;
+        const element = await createViewer();
+
+        await element.revealVoicemail('vm-1');
+
+        expect(scrollIntoView).toHaveBeenCalledTimes(1);
+        expect(scrollIntoView.mock.instances[0].dataset.cardId).toBe('vm-1');
+        delete Element.prototype.scrollIntoView;
+    });
+
+    it('lists group voicemail when the agent switches mailbox', async () => {
+        const element = await createViewer({ groupMailboxIds: 'Sales=group-1' });
+        const picker = element.shadowRoot.querySelector('.mailbox-picker');
+        expect(picker.options.map(option => option.label)).toEqual(['My voicemail', 'Group: Sales']);
+
+        picker.dispatchEvent(new CustomEvent('change', { detail: { value: 'group:group-1' } }));
+        await flushPromises();
+
+        const [url, options] = global.fetch.mock.calls.find(([requestUrl]) => requestUrl.includes('/voicemail/groups/'));
+        expect(url).toBe('https://api.mypurecloud.com/api/v2/voicemail/groups/group-1/messages?pageSize=25&pageNumber=1');
+        expect(options.method).toBe('GET');
+        expect(queryCard(element, '.unread-text').title).toBe('tel:+13175550199');
+    });
+
+    it('marks a voicemail read when the player reaches the end', async () => {
+        patchResponse = mockResponse(200, {});
+        const element = await createViewer();
+
+        queryCard(element, '.slds-card__body').click();
+        await flushPromises();
+        const player = queryCard(element, 'c-voicemail-audio-player');
+        expect(player.src).toBe('https://media/vm-1.wav');
+
+        player.dispatchEvent(new CustomEvent('ended'));
+        await flushPromises();
+
+        const patch = global.fetch.mock.calls.find(([, options]) => options.method === 'PATCH');
+        expect(patch[0]).toContain('/api/v2/voicemail/messages/vm-1');
+        expect(JSON.parse(patch[1].body)).toEqual({ read: true });
+    });
+
+    it('fetches a fresh media URL once when playback fails', async () => {
+        const element = await createViewer();
+        queryCard(element, '.slds-card__body').click();
+        await flushPromises();
+        const mediaRequests = () => global.fetch.mock.calls.filter(([url]) => url.includes('/media'));
+        expect(mediaRequests()).toHaveLength(1);
+        expect(mediaRequests()[0][0]).toContain('/media?formatId=WAV');
+
+        queryCard(element, 'c-voicemail-audio-player').dispatchEvent(new CustomEvent('mediaerror'));
+        await flushPromises();
+        expect(mediaRequests()).toHaveLength(2);
+        expect(queryCard(element, '.slds-text-color_error')).toBeNull();
+
+        queryCard(element, 'c-voicemail-audio-player').dispatchEvent(new CustomEvent('mediaerror'));
+        await flushPromises();
+        expect(mediaRequests()).toHaveLength(2);
+        expect(queryCard(element, '.slds-text-color_error').textContent)
+            .toContain('could not be played');
+    });
+
+    it('pre-fetches media for unread voicemails without expanding them', async () => {
+        await createViewer();
+        await flushPromises();
+
+        const mediaRequests = global.fetch.mock.calls.filter(([url]) => url.includes('/media'));
+        expect(mediaRequests).toHaveLength(1);
+        expect(mediaRequests[0][0]).toContain('/api/v2/voicemail/messages/vm-1/media');
+    });
+
+    it('skips pre-fetching when it is turned off', async () => {
+        await createViewer({ disableAudioPrefetch: true });
+        await flushPromises();
+
+        expect(global.fetch.mock.calls.some(([url]) => url.includes('/media'))).toBe(false);
+    });
+
+    function mockSearchPages(pageCount) {
+        const defaultFetch = global.fetch.getMockImplementation();
+        global.fetch.mockImplementation((url, options) => {
+            if (!url.includes('/voicemail/search')) {
+                return defaultFetch(url, options);
+            }
+            const { pageNumber, pageSize } = JSON.parse(options.body);
+            return mockResponse(200, {
+                pageCount,
+                results: Array.from({ length: pageSize }, (value, index) => ({
+                    id: `vm-${pageNumber}-${index}`,
+                    callerAddress: 'tel:+13175550100',
+                    createdDate: new Date().toISOString(),
+                    read: true
+                }))
+            });
+        });
+    }
+
+    function findButton(element, label) {
+        return Array.from(element.shadowRoot.querySelectorAll('lightning-button')).find(button => button.label === label);
+    }
+
+    const searchRequests = () => global.fetch.mock.calls
+        .filter(([url]) => url.includes('/voicemail/search'))
+        .map(([, options]) => JSON.parse(options.body));
+
+    it('only enables Previous after moving past the first page', async () => {
+        mockSearchPages(3);
+        const element = await createViewer({ pageSize: 2 });
+
+        const previous = findButton(element, 'Previous');
+        const next = findButton(element, 'Next');
+        expect(previous.disabled).toBe(true);
+        expect(next.disabled).toBe(false);
+        expect(searchRequests()[0].pageSize).toBe(2);
+
+        next.click();
+        await flushPromises();
+
+        expect(searchRequests()[1].pageNumber).toBe(2);
+        expect(previous.disabled).toBe(false);
+        expect(element.shadowRoot.querySelectorAll('[data-card-id]')).toHaveLength(2);
+    });
+
+    it('appends the next page when the agent scrolls near the end in scroll mode', async () => {
+        mockSearchPages(2);
+        const element = await createViewer({ listMode: 'scroll', pageSize: 3 });
+        expect(findButton(element, 'Next')).toBeUndefined();
+
+        const list = element.shadowRoot.querySelector('.voicemail-list');
+        Object.defineProperty(list, 'scrollHeight', { value: 1000 });
+        Object.defineProperty(list, 'clientHeight', { value: 400 });
+        list.scrollTop = 500;
+        list.dispatchEvent(new CustomEvent('scroll'));
+        await flushPromises();
+
+        expect(searchRequests().map(body => body.pageNumber)).toEqual([1, 2]);
+        expect(element.shadowRoot.querySelectorAll('[data-card-id]')).toHaveLength(6);
+        expect(element.shadowRoot.querySelector('.load-more-btn')).toBeNull();
+    });
+
+    it('renders only the cards near the viewport for large scrolling inboxes', async () => {
+        mockSearchPages(1);
+        const element = await createViewer({ listMode: 'scroll', pageSize: 100 });
+
+        const cards = element.shadowRoot.querySelectorAll('[data-card-id]');
+        expect(cards.length).toBeGreaterThan(0);
+        expect(cards.length).toBeLessThan(100);
+        expect(cards[0].dataset.cardId).toBe('vm-1-0');
+    });
+
+    it('shows the matched Salesforce record and reuses the lookup on refresh', async () => {
+        findCallerMatches.mockResolvedValue({
+            '+13175550100': { recordId: '003000000000001AAA', name: 'Pat Caller', objectApiName: 'Contact' }
+        });
+        const element = await createViewer();
+        await flushPromises();
+
+        expect(findCallerMatches).toHaveBeenCalledWith({ phoneNumbers: ['+13175550100'], defaultCountryCode: '1' });
+        const link = queryCard(element, '.caller-match a');
+        expect(link.textContent).toBe('Pat Caller');
+        expect(link.getAttribute('href')).toBe('/lightning/r/Contact/003000000000001AAA/view');
+
+        Array.from(element.shadowRoot.querySelectorAll('lightning-button-icon'))
+            .find(button => button.iconName === 'utility:refresh')
+            .click();
+        await flushPromises();
+
+        expect(findCallerMatches).toHaveBeenCalledTimes(1);
+        expect(queryCard(element, '.caller-match a').textContent).toBe('Pat Caller');
+    });
+
+    it('opens the note editor of the card that asked for it', async () => {
+        const element = await createViewer();
+        const card = element.shadowRoot.querySelector('c-voicemail-card');
+
+        card.dispatchEvent(new CustomEvent('cardclick'));
+        await flushPromises();
+        card.dispatchEvent(new CustomEvent('editnote'));
+        await flushPromises();
+
+        expect(queryCard(element, 'lightning-textarea')).not.toBeNull();
+    });
+
+    it('logs a voicemail to Salesforce from the card menu', async () => {
+        findCallerMatches.mockResolvedValue({
+            '+13175550100': { recordId: '003000000000001AAA', name: 'Pat Caller', objectApiName: 'Contact' }
+        });
+        const element = await createViewer();
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.three-dots-btn').click();
+        await Promise.resolve();
+        Array.from(element.shadowRoot.querySelectorAll('.menu-item'))
+            .find(item => item.textContent.trim() === 'Log to Salesforce')
+            .click();
+        await flushPromises();
+
+        expect(logVoicemailActivity).toHaveBeenCalledTimes(1);
+        const [voicemailLog] = logVoicemailActivity.mock.calls[0][0].voicemailLogs;
+        expect(voicemailLog).toEqual(expect.objectContaining({
+            voicemailId: 'vm-1',
+            callerAddress: 'tel:+13175550100',
+            callerName: 'Pat Caller',
+            organizationId: 'org-1',
+            matchedRecordId: '003000000000001AAA'
+        }));
+        expect(queryCard(element, '.logged-indicator')).not.toBeNull();
+    });
+
+    it('logs without the organization id when it cannot be read', async () => {
+        const defaultFetch = global.fetch.getMockImplementation();
+        global.fetch.mockImplementation((url, options) => (url.includes('/users/me?expand=organization')
+            ? mockResponse(403, { message: 'Forbidden' })
+            : defaultFetch(url, options)));
+        const element = await createViewer();
+
+        element.shadowRoot.querySelector('.three-dots-btn').click();
+        await Promise.resolve();
+        Array.from(element.shadowRoot.querySelectorAll('.menu-item'))
+            .find(item => item.textContent.trim() === 'Log to Salesforce')
+            .click();
+        await flushPromises();
+
+        expect(logVoicemailActivity).toHaveBeenCalledTimes(1);
+        expect(logVoicemailActivity.mock.calls[0][0].voicemailLogs[0].organizationId).toBeNull();
+        expect(queryCard(element, '.logged-indicator')).not.toBeNull();
+    });
+
+    it('logs voicemails automatically once they are marked read in auto mode', async () => {
+        patchResponse = mockResponse(200, {});
+        const element = await createViewer({ autoLogVoicemails: true });
+
+        await toggleRead(element);
+        await flushPromises();
+
+        expect(logVoicemailActivity).toHaveBeenCalledTimes(1);
+        expect(logVoicemailActivity.mock.calls[0][0].voicemailLogs[0].voicemailId).toBe('vm-1');
+    });
+
+    it('does not log automatically when auto mode is off', async () => {
+        patchResponse = mockResponse(200, {});
+        const element = await createViewer();
+
+        await toggleRead(element);
+        await flushPromises();
+
+        expect(logVoicemailActivity).not.toHaveBeenCalled();
+    });
+
+    const publishedEvents = () => publish.mock.calls.map(([, , message]) => message);
+
+    function sendCommand(message) {
+        const [, , handler] = subscribe.mock.calls[subscribe.mock.calls.length - 1];
+        handler(message);
+        return flushPromises();
+    }
+
+    it('publishes selected, played and read events on the message channel', async () => {
+        patchResponse = mockResponse(200, {});
+        findCallerMatches.mockResolvedValue({
+            '+13175550100': { recordId: '003000000000001AAA', name: 'Ada Lovelace', objectApiName: 'Contact' }
+        });
+        const element = await createViewer();
+        await flushPromises();
+
+        queryCard(element, '.slds-card__body').click();
+        await flushPromises();
+        const player = queryCard(element, 'c-voicemail-audio-player');
+        player.dispatchEvent(new CustomEvent('playbackstart'));
+        player.dispatchEvent(new CustomEvent('ended'));
+        await flushPromises();
+
+        expect(publishedEvents().map(message => message.type)).toEqual(['selected', 'played', 'readChanged']);
+        expect(publishedEvents()[2]).toEqual(expect.objectContaining({
+            voicemailId: 'vm-1',
+            callerAddress: 'tel:+13175550100',
+            callerName: 'Ada Lovelace',
+            matchedRecordId: '003000000000001AAA',
+            read: true
+        }));
+    });
+
+    it('does not publish a read event when the update fails', async () => {
+        patchResponse = mockResponse(400, { message: 'Bad request' });
+        const element = await createViewer();
+
+        await toggleRead(element);
+        await flushPromises();
+
+        expect(publishedEvents()).toEqual([]);
+    });
+
+    it('opens a voicemail from another component, fetching it when it is not listed', async () => {
+        const defaultFetch = global.fetch.getMockImplementation();
+        global.fetch.mockImplementation((url, options) => (url.endsWith('/voicemail/messages/vm-9')
+            ? mockResponse(200, { id: 'vm-9', callerAddress: 'tel:+13175550109', createdDate: new Date().toISOString() })
+            : defaultFetch(url, options)));
+        const element = await createViewer();
+
+        await sendCommand({ command: 'openVoicemail', voicemailId: 'vm-9' });
+        await flushPromises();
+
+        const cards = element.shadowRoot.querySelectorAll('[data-card-id]');
+        expect(Array.from(cards).map(card => card.dataset.cardId)).toEqual(['vm-9', 'vm-1']);
+        expect(queryCard(element, 'c-voicemail-audio-player').voicemailId).toBe('vm-9');
+        expect(publishedEvents()[0]).toEqual(expect.objectContaining({ type: 'selected', voicemailId: 'vm-9' }));
+    });
+
+    it('reloads the list on a refresh command', async () => {
+        await createViewer();
+        const searchCount = () => global.fetch.mock.calls.filter(([url]) => url.includes('/voicemail/search')).length;
+        const searchesBefore = searchCount();
+
+        await sendCommand({ command: 'refresh' });
+
+        expect(searchCount()).toBe(searchesBefore + 1);
+    });
+
+    function mockSearchResults(results) {
+        const defaultFetch = global.fetch.getMockImplementation();
+        global.fetch.mockImplementation((url, options) => (url.includes('/voicemail/search')
+            ? mockResponse(200, { pageCount: 1, results })
+            : defaultFetch(url, options)));
+    }
+
+    const QUEUE_RESULTS = ['vm-a', 'vm-b', 'vm-c'].map((id, index) => ({
+        id,
+        callerAddress: 'tel:+13175550100',
+        createdDate: new Date(Date.now() - (3 - index) * 60000).toISOString(),
+        read: false,
+        note: ''
+    }));
+
+    const openVoicemailIds = (element) => Array.from(element.shadowRoot.querySelectorAll('c-voicemail-card'))
+        .filter(card => card.shadowRoot.querySelector('.expanded-card'))
+        .map(card => card.dataset.cardId);
+
+    async function markRead(element, voicemailId) {
+        element.shadowRoot.querySelector(`[data-card-id="${voicemailId}"] .three-dots-btn`).click();
+        await Promise.resolve();
+        Array.from(element.shadowRoot.querySelectorAll('.menu-item'))
+            .find(item => item.textContent.trim() === 'Mark as Read')
+            .click();
+        await flushPromises();
+    }
+
+    it('opens the next unread voicemail after the agent handles one in work queue mode', async () => {
+        patchResponse = mockResponse(200, {});
+        mockSearchResults(QUEUE_RESULTS);
+        const element = await createViewer({ startInWorkQueueMode: true });
+        await flushPromises();
+        expect(openVoicemailIds(element)).toEqual(['vm-a']);
+
+        await markRead(element, 'vm-a');
+
+        expect(openVoicemailIds(element)).toEqual(['vm-b']);
+    });
+
+    it('skips voicemails deleted while they wait in the work queue', async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        patchResponse = mockResponse(200, {});
+        mockSearchResults(QUEUE_RESULTS);
+        const element = await createViewer({ startInWorkQueueMode: true });
+        await flushPromises();
+
+        socket.onmessage({
+            data: JSON.stringify({
+                topicName: 'v2.users.user-1.voicemail.messages',
+                eventBody: { id: 'vm-b', deleted: true }
+            })
+        });
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        await new Promise((resolve) => setTimeout(resolve, 600));
+        await markRead(element, 'vm-a');
+
+        expect(element.shadowRoot.querySelector('[data-card-id="vm-b"]')).toBeNull();
+        expect(openVoicemailIds(element)).toEqual(['vm-c']);
+    });
+
+    it('moves on when the open voicemail is deleted in work queue mode', async () => {
+        mockSearchResults(QUEUE_RESULTS);
+        const element = await createViewer({ startInWorkQueueMode: true });
+        await flushPromises();
+
+        await deleteFirstVoicemail(element);
+
+        expect(element.shadowRoot.querySelector('[data-card-id="vm-a"]')).toBeNull();
+        expect(openVoicemailIds(element)).toEqual(['vm-b']);
+    });
+
+    it('ends the work queue cleanly after the last unread voicemail', async () => {
+        patchResponse = mockResponse(200, {});
+        const element = await createViewer({ startInWorkQueueMode: true });
+        await flushPromises();
+        expect(openVoicemailIds(element)).toEqual(['vm-1']);
+        const searchCount = () => global.fetch.mock.calls.filter(([url]) => url.includes('/voicemail/search')).length;
+        const searchesBefore = searchCount();
+
+        await markRead(element, 'vm-1');
+
+        expect(openVoicemailIds(element)).toEqual([]);
+        expect(element.shadowRoot.textContent).toContain('All caught up');
+        expect(searchCount()).toBe(searchesBefore);
+    });
+
+    function checkInput(element, label, voicemailId) {
+        const input = Array.from(element.shadowRoot.querySelectorAll('lightning-input'))
+            .find(candidate => candidate.label === label && (!voicemailId || candidate.dataset.id === voicemailId));
+        input.checked = true;
+        input.dispatchEvent(new CustomEvent('change'));
+    }
+
+    it('rolls back only the voicemails that failed in a bulk action and keeps them selected', async () => {
+        mockSearchResults(QUEUE_RESULTS);
+        const element = await createViewer();
+        const defaultFetch = global.fetch.getMockImplementation();
+        global.fetch.mockImplementation((url, options) => {
+            if (options.method !== 'PATCH') {
+                return defaultFetch(url, options);
+            }
+            return url.endsWith('/vm-b')
+                ? mockResponse(500, { message: 'Server error' })
+                : mockResponse(200, {});
+        });
+
+        checkInput(element, 'Select all');
+        await flushPromises();
+        findButton(element, 'Mark read').click();
+        await flushPromises();
+
+        const card = (voicemailId) => element.shadowRoot.querySelector(`[data-card-id="${voicemailId}"]`)
+            .shadowRoot.querySelector('.slds-card');
+        expect(card('vm-a').classList).not.toContain('unread-card');
+        expect(card('vm-c').classList).not.toContain('unread-card');
+        expect(card('vm-b').classList).toContain('unread-card');
+        expect(card('vm-b').querySelector('.slds-text-color_error').textContent).toContain('Could not mark as read');
+        expect(card('vm-a').querySelector('.slds-text-color_error')).toBeNull();
+
+        const selectedIds = Array.from(element.shadowRoot.querySelectorAll('lightning-input'))
+            .filter(input => input.label === 'Select voicemail' && input.checked)
+            .map(input => input.dataset.id);
+        expect(selectedIds).toEqual(['vm-b']);
+
+        const summary = element.shadowRoot.querySelector('[role="status"]');
+        expect(summary.className).toContain('slds-alert_warning');
+        expect(summary.textContent).toContain('2 voicemails marked as read. 1 could not be updated.');
+    });
+
+    it('reports a bulk action where every voicemail succeeded', async () => {
+        patchResponse = mockResponse(200, {});
+        mockSearchResults(QUEUE_RESULTS);
+        const element = await createViewer();
+
+        checkInput(element, 'Select voicemail', 'vm-c');
+        await flushPromises();
+        findButton(element, 'Mark read').click();
+        await flushPromises();
+
+        const summary = element.shadowRoot.querySelector('[role="status"]');
+        expect(summary.className).toContain('slds-alert_success');
+        expect(summary.textContent).toContain('1 voicemail marked as read.');
+        const cardClasses = (voicemailId) => element.shadowRoot.querySelector(`[data-card-id="${voicemailId}"]`)
+            .shadowRoot.querySelector('.slds-card').classList;
+        expect(cardClasses('vm-c')).not.toContain('unread-card');
+        expect(cardClasses('vm-a')).toContain('unread-card');
+    });
+
+    async function searchTranscripts(element, text) {
+        Array.from(element.shadowRoot.querySelectorAll('lightning-button-icon'))
+            .find(button => button.alternativeText === 'Filter and sort voicemails')
+            .click();
+        await flushPromises();
+        const transcriptInput = Array.from(element.shadowRoot.querySelectorAll('lightning-input'))
+            .find(input => input.label === 'Transcript');
+        transcriptInput.dispatchEvent(new CustomEvent('change', { detail: { value: text } }));
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        await new Promise((resolve) => setTimeout(resolve, 450));
+        await flushPromises();
+    }
+
+    // Search pages of 100 voicemails; the ones listed in refundIds mention a refund in their transcript
+    function mockTranscriptPages(pageCount, refundIds) {
+        const defaultFetch = global.fetch.getMockImplementation();
+        global.fetch.mockImplementation((url, options) => {
+            if (!url.includes('/voicemail/search')) {
+                return defaultFetch(url, options);
+            }
+            const { pageNumber, pageSize } = JSON.parse(options.body);
+            return mockResponse(200, {
+                pageCount,
+                results: Array.from({ length: pageSize }, (value, index) => ({
+                    id: `vm-${pageNumber}-${index}`,
+                    callerAddress: 'tel:+13175550100',
+                    createdDate: new Date().toISOString(),
+                    read: true,
+                    transcription: { text: refundIds.includes(`vm-${pageNumber}-${index}`) ? 'About my refund' : 'Just checking in' }
+                }))
+            });
+        });
+    }
+
+    const cardIds = (element) => Array.from(element.shadowRoot.querySelectorAll('[data-card-id]')).map(card => card.dataset.cardId);
+
+    it('pages through transcript matches from every search page', async () => {
+        mockTranscriptPages(3, ['vm-1-0', 'vm-3-0', 'vm-3-1', 'vm-3-2']);
+        const element = await createViewer({ pageSize: 2 });
+
+        await searchTranscripts(element, 'refund');
+
+        expect(searchRequests().slice(1).map(body => body.pageNumber)).toEqual([1, 2, 3]);
+        expect(cardIds(element)).toEqual(['vm-1-0', 'vm-3-0']);
+        expect(findButton(element, 'Next').disabled).toBe(false);
+        expect(element.shadowRoot.querySelector('.transcript-search-limit')).toBeNull();
+
+        findButton(element, 'Next').click();
+        await flushPromises();
+
+        expect(cardIds(element)).toEqual(['vm-3-1', 'vm-3-2']);
+        expect(findButton(element, 'Next').disabled).toBe(true);
+    });
+
+    it('says when a transcript search stops before the end of the inbox', async () => {
+        mockTranscriptPages(12, []);
+        const element = await createViewer();
+
+        await searchTranscripts(element, 'refund');
+
+        expect(searchRequests()).toHaveLength(11);
+        expect(element.shadowRoot.querySelector('.transcript-search-limit').textContent)
+            .toContain('Transcript search only covers the first 1000 voicemails');
+        expect(element.shadowRoot.textContent).toContain('No voicemails match your');
+    });
+
+    it('filters transcripts in the browser and leaves them out of the search request', async () => {
+        mockSearchResults([
+            { ...QUEUE_RESULTS[0], transcription: { text: 'Please call me back about my refund' } },
+            { ...QUEUE_RESULTS[1], transcription: { text: 'Just checking in' } },
+            QUEUE_RESULTS[2]
+        ]);
+        const element = await createViewer();
+
+        await searchTranscripts(element, 'Call me back');
+
+        const requests = searchRequests();
+        expect(requests).toHaveLength(2);
+        expect(requests[1]).toEqual({
+            sortOrder: 'DESC',
+            sortBy: 'createdTime',
+            pageSize: 100,
+            pageNumber: 1,
+            query: [
+                { type: 'EXACT', fields: ['owner'], value: 'ALL' },
+                { type: 'EXACT', fields: ['deleted'], value: 'false' }
+            ]
+        });
+        expect(cardIds(element)).toEqual(['vm-a']);
+    });
+
+    async function createContactViewer(fields, properties = {}) {
+        const element = await createViewer({ recordId: '003000000000001AAA', objectApiName: 'Contact', ...properties });
+        getRecord.emit({ fields }, (config) => !!config.optionalFields);
+        await flushPromises();
+        return element;
+    }
+
+    it('searches for voicemails from the phone numbers on a Contact', async () => {
+        const element = await createContactViewer({
+            Phone: { value: '(317) 555-0100' },
+            MobilePhone: { value: '+1 317 555 0101' },
+            HomePhone: { value: null }
+        });
+
+        const bodies = searchRequests();
+        expect(bodies).toHaveLength(1);
+        expect(bodies[0].query[2].group.map(clause => clause.value)).toEqual(['13175550100', '13175550101']);
+        expect(element.shadowRoot.querySelectorAll('[data-card-id]')).toHaveLength(1);
+    });
+
+    it('reads the phone fields configured by the admin', async () => {
+        await createContactViewer({
+            Phone: { value: '(317) 555-0100' },
+            AssistantPhone: { value: '317-555-0150' }
+        }, { recordPhoneFields: 'AssistantPhone' });
+
+        expect(searchRequests()[0].query[2].group.map(clause => clause.value)).toEqual(['13175550150']);
+    });
+
+    it('explains when the record has no phone number', async () => {
+        const element = await createContactViewer({ Phone: { value: null } });
+
+        expect(searchRequests()).toHaveLength(0);
+        expect(element.shadowRoot.textContent).toContain('This record has no phone number');
+    });
+});
@@ -1,21 +1,133 @@
 /**
  * VoicemailViewer Lightning Web Component
- * Main component file - imports utility modules for organization
+ * Main component file - auth, API and formatting utilities come from the shared c/genesysCloudClient module
  */
 
 import { LightningElement, track, api, wire } from 'lwc';
 import { getRecord } from 'lightning/uiRecordApi';
+import LightningConfirm from 'lightning/confirm';
+import { NavigationMixin } from 'lightning/navigation';
+import { publish, subscribe, unsubscribe, MessageContext, APPLICATION_SCOPE } from 'lightning/messageService';
+import VOICEMAIL_EVENTS_CHANNEL from '@salesforce/messageChannel/VoicemailEvents__c';
+import VOICEMAIL_COMMANDS_CHANNEL from '@salesforce/messageChannel/VoicemailCommands__c';
+import findCallerMatches from '@salesforce/apex/VoicemailCallerLookup.findCallerMatches';
+import logVoicemailActivity from '@salesforce/apex/VoicemailActivityLogger.logVoicemails';
 import VendorCallKey from '@salesforce/schema/VoiceCall.VendorCallKey';
 import CallType from '@salesforce/schema/VoiceCall.CallType';
-import { generateCodeVerifier, generateCodeChallenge, exchangeCodeForToken, getAccessToken } from './authUtils';
-import { formatDuration, formatDate, getRelativeTime, getCardClass, extractPhoneNumber, parseValueBetweenColons } from './formatUtils';
-import { callGenesysCloudApi, markVoicemailAsRead } from './apiUtils';
-import { setupWebSocket, closeWebSocket } from './websocketUtils';
+import {
+    configureAuthSession,
+    onSessionLost,
+    getValidAccessToken,
+    withAccessToken,
+    login,
+    callGenesysCloudApi,
+    subscribeToVoicemailNotifications,
+    formatDuration,
+    formatDate,
+    getRelativeTime,
+    getCardClass,
+    getTranscriptText,
+    getTranscriptSnippet,
+    extractPhoneNumber,
+    READ_STATUS_ALL,
+    READ_STATUS_UNREAD,
+    READ_STATUS_READ,
+    SORT_BY_CREATED_TIME,
+    SORT_BY_DURATION,
+    SORT_BY_CALLER,
+    SORT_ORDER_ASC,
+    SORT_ORDER_DESC,
+    WORK_QUEUE_SORT,
+    createEmptyFilters,
+    createDefaultSort,
+    hasActiveFilters,
+    filtersDependOnChanges,
+    hasTranscriptFilter,
+    matchesTranscriptFilter,
+    buildVoicemailSearchBody,
+    mapWithConcurrency,
+    VOICEMAIL_EVENT_DELETED,
+    parseVoicemailNotification,
+    isNewVoicemailEvent,
+    MAILBOX_TYPE_USER,
+    PERSONAL_MAILBOX,
+    buildMailboxes,
+    getMailboxMessagesEndpoint,
+    AUDIO_FORMAT_AUTO,
+    resolveAudioFormat,
+    getMediaEndpoint,
+    createMediaUrlCache,
+    DEFAULT_COUNTRY_CODE,
+    normalizePhoneNumber,
+    VOICEMAIL_MESSAGE_SELECTED,
+    VOICEMAIL_MESSAGE_PLAYED,
+    VOICEMAIL_COMMAND_OPEN,
+    VOICEMAIL_COMMAND_REFRESH,
+    buildVoicemailEventMessage,
+    getUpdateMessageTypes
+} from 'c/genesysCloudClient';
 
-export default class VoicemailViewer extends LightningElement {
+const FILTER_INPUT_DELAY_MS = 400;
+const BULK_ACTION_CONCURRENCY = 4;
+const DELETE_UNDO_WINDOW_MS = 6000;
+const NOTIFICATION_DEBOUNCE_MS = 500;
+const PREFETCH_COUNT = 3;
+const PREFETCH_CONCURRENCY = 2;
+const LIST_MODE_PAGES = 'pages';
+const LIST_MODE_SCROLL = 'scroll';
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+// Transcript searches read at most this many search pages of MAX_PAGE_SIZE voicemails
+const TRANSCRIPT_SEARCH_MAX_PAGES = 10;
+const LOAD_MORE_THRESHOLD_PX = 200;
+const VIRTUALIZE_THRESHOLD = 50;
+const ESTIMATED_CARD_HEIGHT_PX = 130;
+const VIRTUAL_OVERSCAN = 5;
+const VOICE_CALL_OBJECT = 'VoiceCall';
+// Phone fields read on record pages when the admin has not listed any
+const DEFAULT_RECORD_PHONE_FIELDS = {
+    Contact: ['Phone', 'MobilePhone', 'HomePhone', 'OtherPhone'],
+    Account: ['Phone'],
+    Case: ['ContactPhone', 'ContactMobile']
+};
+
+function createCallerMatch(match) {
+    if (!match) return null;
+    return {
+        recordId: match.recordId,
+        name: match.name,
+        objectApiName: match.objectApiName,
+        url: `/lightning/r/${match.objectApiName}/${match.recordId}/view`
+    };
+}
+
+// Qualified field names for getRecord; relationship paths such as Contact.Phone are allowed
+function getRecordPhoneFields(objectApiName, phoneFields) {
+    const configured = (phoneFields || '').split(',').map(field => field.trim()).filter(Boolean);
+    const fields = configured.length ? configured : (DEFAULT_RECORD_PHONE_FIELDS[objectApiName] || []);
+    return fields.map(field => `${objectApiName}.${field}`);
+}
+
+function readFieldValue(record, qualifiedField) {
+    return qualifiedField.split('.').slice(1).reduce((value, name) => value?.fields?.[name]?.value, record);
+}
+
+export default class VoicemailViewer extends NavigationMixin(LightningElement) {
     @api recordId;
+    @api objectApiName;
     @api genesysCloudRegion = 'mypurecloud.com';
     @api genesysCloudClientId;
+    @api startInWorkQueueMode = false;
+    @api confirmBeforeDelete = false;
+    @api groupMailboxIds = '';
+    @api queueMailboxIds = '';
+    @api audioFormat = AUDIO_FORMAT_AUTO;
+    @api disableAudioPrefetch = false;
+    @api listMode = LIST_MODE_PAGES;
+    @api pageSize = DEFAULT_PAGE_SIZE;
+    @api defaultCountryCode = DEFAULT_COUNTRY_CODE;
+    @api autoLogVoicemails = false;
+    @api recordPhoneFields = '';
 
     @track conversationId = '';
     @track CallType;
@@ -25,15 +137,42 @@ export default class VoicemailViewer extends LightningElement {
     @track isAuthenticated = false;
     @track hasVoicemail = false;
     @track voicemails = [];
-    @track loadedAudioUrls = new Map();
     @track lastUpdated = '';
     @track currentPage = 1;
-    @track pageSize = 25;
     @track pageCount = 0;
+    @track isLoadingMore = false;
+    @track virtualStart = 0;
     @track displayCount = 0;
-    @track websocket = null;
-    @track channelId = null;
     @track isWebSocketConnected = false;
+    @track filters = createEmptyFilters();
+    @track showFilters = false;
+    @track sort = createDefaultSort();
+    @track workQueueEnabled = false;
+    @track workQueueCurrentId = null;
+    @track isBulkRunning = false;
+    @track bulkResultMessage = null;
+    @track bulkResultVariant = 'success';
+    @track pendingDelete = null;
+    @track mailboxes = [PERSONAL_MAILBOX];
+    @track selectedMailboxValue = PERSONAL_MAILBOX.value;
+    // E.164 numbers read from the record in record context; null until the record has loaded
+    @track recordPhoneNumbers = null;
+    // True when the last transcript search stopped before the end of the search results
+    @track isTranscriptSearchLimited = false;
+    pendingNotifications = [];
+    mediaUrlCache = createMediaUrlCache();
+    averageCardHeight = ESTIMATED_CARD_HEIGHT_PX;
+    listViewportHeight = 0;
+    listRequestId = 0;
+    // E.164 caller number -> matched record, or null when nothing matched
+    callerMatches = new Map();
+    pendingCallerLookups = new Set();
+    loggedVoicemailIds = new Set();
+    // Genesys Cloud organization id, fetched once when voicemails are first logged
+    organizationIdRequest = null;
+    announcedVoicemailIds = new Set();
+    // Voicemail to bring into view once the list has reloaded
+    pendingRevealId = null;
     
     get shouldShowCard() {
         return true;
@@ -44,7 +183,11 @@ export default class VoicemailViewer extends LightningElement {
     }
 
     get hasPreviousPage() {
-        return this.currentPage <= 1;
+        return this.currentPage > 1;
+    }
+
+    get disablePreviousPage() {
+        return !this.hasPreviousPage;
     }
 
     get disableNextPage() {
@@ -52,80 +195,276 @@ export default class VoicemailViewer extends LightningElement {
     }
 
     get showPagination() {
-        return this.pageCount > 1;
+        return !this.isScrollMode && this.pageCount > 1;
+    }
+
+    get isScrollMode() {
+        return this.listMode === LIST_MODE_SCROLL;
+    }
+
+    get resolvedPageSize() {
+        const pageSize = parseInt(this.pageSize, 10);
+        return pageSize > 0 ? Math.min(pageSize, MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE;
+    }
+
+    get listClass() {
+        return this.isScrollMode ? 'voicemail-list voicemail-list_scroll' : 'voicemail-list';
+    }
+
+    get showLoadMore() {
+        return this.isScrollMode && this.hasNextPage && !this.isLoadingMore;
+    }
+
+    // Large scrolling inboxes only render the cards near the visible part of the list
+    get isVirtualized() {
+        return this.isScrollMode && this.voicemails.length > VIRTUALIZE_THRESHOLD;
+    }
+
+    get visibleRange() {
+        if (!this.isVirtualized) {
+            return { start: 0, end: this.voicemails.length };
+        }
+        const viewportHeight = this.listViewportHeight || this.averageCardHeight * VIRTUAL_OVERSCAN;
+        const start = Math.min(this.virtualStart, this.voicemails.length);
+        const count = Math.ceil(viewportHeight / this.averageCardHeight) + VIRTUAL_OVERSCAN * 2;
+        return { start, end: Math.min(this.voicemails.length, start + count) };
+    }
+
+    get visibleVoicemails() {
+        const { start, end } = this.visibleRange;
+        return this.isVirtualized ? this.voicemails.slice(start, end) : this.voicemails;
+    }
+
+    get topSpacerStyle() {
+        return `height: ${this.visibleRange.start * this.averageCardHeight}px`;
+    }
+
+    get bottomSpacerStyle() {
+        const hiddenBelow = this.isVirtualized ? this.voicemails.length - this.visibleRange.end : 0;
+        return `height: ${hiddenBelow * this.averageCardHeight}px`;
+    }
+
+    get selectedMailbox() {
+        return this.mailboxes.find(mailbox => mailbox.value === this.selectedMailboxValue) || PERSONAL_MAILBOX;
+    }
+
+    // Search, filters and sorting are only available for the agent's own voicemail
+    get isPersonalMailbox() {
+        return this.selectedMailbox.type === MAILBOX_TYPE_USER;
+    }
+
+    get showMailboxPicker() {
+        return this.mailboxes.length > 1 && !this.isRecordContext;
+    }
+
+    get mailboxOptions() {
+        return this.mailboxes.map(mailbox => ({ label: mailbox.label, value: mailbox.value }));
+    }
+
+    get emptyMailboxMessage() {
+        if (this.isRecordContext) {
+            return this.recordPhoneNumbers?.length ? 'No voicemails from this caller' : 'This record has no phone number';
+        }
+        return this.isPersonalMailbox ? 'You have no voicemails' : 'This mailbox has no voicemails';
+    }
+
+    get hasActiveFilters() {
+        return this.isPersonalMailbox && hasActiveFilters(this.filters);
+    }
+
+    get transcriptSearchLimitMessage() {
+        return `Transcript search only covers the first ${TRANSCRIPT_SEARCH_MAX_PAGES * MAX_PAGE_SIZE} voicemails matching the other filters`;
+    }
+
+    get showNoMatches() {
+        return !this.hasVoicemail && this.hasActiveFilters;
+    }
+
+    get showEmptyInbox() {
+        return !this.hasVoicemail && !this.hasActiveFilters;
+    }
+
+    get filterButtonVariant() {
+        return this.hasActiveFilters ? 'brand' : 'bare';
+    }
+
+    get readStatusOptions() {
+        return [
+            { label: 'All', value: READ_STATUS_ALL },
+            { label: 'Unread only', value: READ_STATUS_UNREAD },
+            { label: 'Read only', value: READ_STATUS_READ }
+        ];
+    }
+
+    get sortOptions() {
+        return [
+            { label: 'Created time', value: SORT_BY_CREATED_TIME },
+            { label: 'Duration', value: SORT_BY_DURATION },
+            { label: 'Caller', value: SORT_BY_CALLER }
+        ];
+    }
+
+    get sortDirectionIcon() {
+        return this.sort.sortOrder === SORT_ORDER_ASC ? 'utility:arrowup' : 'utility:arrowdown';
+    }
+
+    get sortDirectionLabel() {
+        return this.sort.sortOrder === SORT_ORDER_ASC ? 'Ascending' : 'Descending';
+    }
+
+    get activeSort() {
+        return this.workQueueEnabled ? WORK_QUEUE_SORT : this.sort;
+    }
+
+    get showQueueComplete() {
+        return this.workQueueEnabled && this.hasVoicemail && !this.workQueueCurrentId && !this.isLoading;
+    }
+
+    get selectedVoicemails() {
+        return this.voicemails.filter(vm => vm.isSelected);
+    }
+
+    get selectedCount() {
+        return this.selectedVoicemails.length;
+    }
+
+    get hasSelection() {
+        return this.selectedCount > 0;
+    }
+
+    get allSelected() {
+        return this.hasVoicemail && this.voicemails.every(vm => vm.isSelected);
+    }
+
+    get disableBulkActions() {
+        return !this.hasSelection || this.isBulkRunning;
+    }
+
+    get bulkResultClass() {
+        return `slds-notify slds-notify_alert slds-m-bottom_small slds-alert_${this.bulkResultVariant}`;
+    }
+
+    get undoDeleteMessage() {
+        const caller = this.pendingDelete?.voicemail.callerAddress;
+        return caller ? `Voicemail from ${caller} deleted` : 'Voicemail deleted';
     }
 
     get unreadCount() {
         return this.voicemails.filter(vm => !vm.read).length;
     }
 
-    @wire(getRecord, { recordId: '$recordId', fields: [VendorCallKey, CallType] })
+    @wire(MessageContext)
+    messageContext;
+
+    // On Contact, Account and Case pages only voicemails from the record's phone numbers are listed
+    get isRecordContext() {
+        return !!this.recordId && !!this.objectApiName && this.objectApiName !== VOICE_CALL_OBJECT;
+    }
+
+    get voiceCallRecordId() {
+        return this.isRecordContext ? undefined : this.recordId;
+    }
+
+    get contextRecordId() {
+        return this.isRecordContext ? this.recordId : undefined;
+    }
+
+    get contextPhoneFields() {
+        return this.isRecordContext ? getRecordPhoneFields(this.objectApiName, this.recordPhoneFields) : [];
+    }
+
+    @wire(getRecord, { recordId: '$contextRecordId', optionalFields: '$contextPhoneFields' })
+    wiredContextRecord({ data, error }) {
+        if (data) {
+            const numbers = this.contextPhoneFields
+                .map(field => normalizePhoneNumber(readFieldValue(data, field), this.defaultCountryCode))
+                .filter(Boolean);
+            this.recordPhoneNumbers = [...new Set(numbers)];
+        } else if (error) {
+            console.error('Error loading record phone numbers:', error);
+            this.recordPhoneNumbers = [];
+        } else {
+            return;
+        }
+        if (this.isAuthenticated) {
+            this.applyFilters();
+        }
+    }
+
+    @wire(getRecord, { recordId: '$voiceCallRecordId', fields: [VendorCallKey, CallType] })
     wiredVoiceCall(result) {
         this.VoiceCall = result;
         if (result.data) {
             this.CallType = result.data.fields.CallType.value;
             if (this.isAuthenticated) {
+                // eslint-disable-next-line @lwc/lwc/no-async-operation
                 setTimeout(() => this.loadVoicemails(), 2000);
             }
         }
     }
 
     connectedCallback() {
-        const accessToken = getAccessToken();
-        this.isAuthenticated = !!accessToken;
+        this.workQueueEnabled = this.startInWorkQueueMode;
+        this.mailboxes = buildMailboxes(this.groupMailboxIds, this.queueMailboxIds);
+        this.mediaFormatId = resolveAudioFormat(this.audioFormat);
+        configureAuthSession(this.genesysCloudClientId, this.genesysCloudRegion);
+        this.unsubscribeSessionLost = onSessionLost(() => this.handleSessionLost());
         this.clearNotificationBadge();
         document.addEventListener('click', this.handleOutsideClick.bind(this));
+        this.commandSubscription = subscribe(
+            this.messageContext,
+            VOICEMAIL_COMMANDS_CHANNEL,
+            (message) => this.handleVoicemailCommand(message),
+            { scope: APPLICATION_SCOPE }
+        );
+        this.restoreSession();
+    }
+
+    disconnectedCallback() {
+        document.removeEventListener('click', this.handleOutsideClick.bind(this));
+        this.commitPendingDelete();
+        if (this.unsubscribeSessionLost) {
+            this.unsubscribeSessionLost();
+        }
+        clearTimeout(this.filterInputTimeout);
+        clearTimeout(this.notificationTimeout);
+        this.cancelAudioPrefetch();
+        this.stopNotifications();
+        unsubscribe(this.commandSubscription);
+        this.commandSubscription = null;
+    }
+
+    renderedCallback() {
+        if (this.isVirtualized) {
+            this.measureCardHeight();
+        }
+    }
+
+    // Without a session the login button is shown; the popup can only open from the agent's click
+    async restoreSession() {
+        const accessToken = await getValidAccessToken();
+        this.isAuthenticated = !!accessToken;
 
         if (this.isAuthenticated) {
             this.loadVoicemails(true);
             this.setupWebSocketNotifications();
-        } else {
-            this.handleLogin();
         }
     }
 
-    disconnectedCallback() {
-        document.removeEventListener('click', this.handleOutsideClick.bind(this));
-        closeWebSocket(this.websocket);
-        this.websocket = null;
+    handleSessionLost() {
+        this.isAuthenticated = false;
+        this.stopNotifications();
     }
 
-    handleOutsideClick(event) {
+    handleOutsideClick() {
         const hasOpenMenu = this.voicemails.some(vm => vm.showMenu);
         if (hasOpenMenu) {
             this.voicemails = this.voicemails.map(vm => ({ ...vm, showMenu: false }));
         }
     }
 
-    setupAuthListener() {
-        window.addEventListener('message', async (event) => {
-            if (!this.isValidAuthEvent(event)) return;
-            
-            try {
-                await this.processAuthCallback(event.data);
-            } catch (error) {
-                console.error('Error processing auth callback message:', error);
-                this.errorMessage = 'Failed to complete authentication';
-            }
-        });
-    }
-    
-    isValidAuthEvent(event) {
-        return event.origin === window.location.origin &&
-               event.data &&
-               event.data.type === 'GENESYS_AUTH_CALLBACK' &&
-               event.data.code;
-    }
-    
-    async processAuthCallback(data) {
-        const accessToken = await exchangeCodeForToken(data.code, this.genesysCloudClientId, this.genesysCloudRegion);
-        if (!accessToken) return;
-        
-        this.isAuthenticated = true;
-        this.initializeAfterAuth();
-    }
-    
     initializeAfterAuth() {
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
         setTimeout(() => {
             this.loadVoicemails(true);
             this.setupWebSocketNotifications();
@@ -133,56 +472,32 @@ export default class VoicemailViewer extends LightningElement {
     }
 
     async handleLogin() {
-        const codeVerifier = generateCodeVerifier();
-        const codeChallenge = await generateCodeChallenge(codeVerifier);
-        
-        sessionStorage.setItem('pkce_code_verifier', codeVerifier);
-        
-        const redirectUri = encodeURIComponent(window.location.origin + '/resource/GenesysAuthCallback');
-        const authUrl = `https://login.${this.genesysCloudRegion}/oauth/authorize` +
-            `?client_id=${this.genesysCloudClientId}` +
-            `&response_type=code` +
-            `&redirect_uri=${redirectUri}` +
-            `&scope=conversations voicemail` +
-            `&code_challenge=${codeChallenge}` +
-            `&code_challenge_method=S256`;
-
-        const width = 600;
-        const height = 700;
-        const left = (screen.width / 2) - (width / 2);
-        const top = (screen.height / 2) - (height / 2);
-
-        const authWindow = window.open(authUrl, 'GenesysCloudAuth', `width=${width},height=${height},left=${left},top=${top}`);
-        this.setupAuthListener();
-
-        if (!authWindow || authWindow.closed || typeof authWindow.closed === 'undefined') {
-            this.errorMessage = 'Popup blocked. Please allow popups for this site.';
+        try {
+            await login();
+            this.isAuthenticated = true;
+            this.initializeAfterAuth();
+        } catch (error) {
+            console.error('Login error:', error);
+            this.errorMessage = error.message || 'Failed to complete authentication';
         }
     }
 
     async loadVoicemails(showLoader = true) {
+        // The record's phone numbers are needed first; the record wire loads the list once they arrive
+        if (this.isRecordContext && this.recordPhoneNumbers === null) return;
+
+        // Scroll mode always reloads from the top of the list
+        if (this.isScrollMode) {
+            this.currentPage = 1;
+            this.resetListScroll();
+        }
+        this.listRequestId++;
+
         try {
             this.isLoading = showLoader;
             this.errorMessage = null;
 
-            const accessToken = getAccessToken();
-            if (!accessToken) {
-                this.handleLogin();
-                return;
-            }
-
-            const searchBody = {
-                sortOrder: 'DESC',
-                sortBy: 'createdTime',
-                pageSize: this.pageSize,
-                pageNumber: this.currentPage,
-                query: [
-                    { type: 'EXACT', fields: ['owner'], value: 'ALL' },
-                    { type: 'EXACT', fields: ['deleted'], value: 'false' }
-                ]
-            };
-
-            const voicemailsResponse = await callGenesysCloudApi('/api/v2/voicemail/search', 'POST', searchBody, accessToken, this.genesysCloudRegion);
+            const voicemailsResponse = await this.fetchVoicemailPage();
 
             if (!voicemailsResponse || !voicemailsResponse.results) {
                 this.voicemails = [];
@@ -195,7 +510,7 @@ export default class VoicemailViewer extends LightningElement {
             }
 
             this.voicemails = voicemailsResponse.results
-                .filter(vm => !vm.deleted)
+                .filter(vm => !vm.deleted && vm.id !== this.pendingDelete?.voicemail.id)
                 .map(vm => this.mapVoicemailData(vm));
 
             this.pageCount = voicemailsResponse.pageCount || 0;
@@ -203,14 +518,16 @@ export default class VoicemailViewer extends LightningElement {
             this.hasVoicemail = this.voicemails.length > 0;
             this.lastUpdated = `Last updated: ${new Date().toLocaleTimeString()}`;
             this.updateUtilityBar();
-        } catch (error) {
-            if (error.message && error.message.includes('401')) {
-                localStorage.removeItem('genesyscloud_access_token');
-                localStorage.removeItem('genesyscloud_token_expiration');
-                this.isAuthenticated = false;
-                this.handleLogin();
-                return;
+
+            if (this.workQueueEnabled) {
+                this.openNextInWorkQueue();
+            }
+            if (this.pendingRevealId) {
+                this.revealVoicemail(this.pendingRevealId);
             }
+            this.prefetchAudio();
+            this.matchCallers();
+        } catch (error) {
             this.errorMessage = error.message || 'An error occurred while retrieving voicemails';
             console.error('Voicemail retrieval error:', error);
         } finally {
@@ -218,20 +535,351 @@ export default class VoicemailViewer extends LightningElement {
         }
     }
 
+    // Group and queue mailboxes return their messages as entities rather than search results
+    async fetchVoicemailPage() {
+        if (!this.isPersonalMailbox) {
+            const endpoint = getMailboxMessagesEndpoint(this.selectedMailbox, this.resolvedPageSize, this.currentPage);
+            const response = await withAccessToken((accessToken) =>
+                callGenesysCloudApi(endpoint, 'GET', null, accessToken, this.genesysCloudRegion)
+            );
+            return response ? { results: response.entities, pageCount: response.pageCount } : null;
+        }
+
+        if (this.isRecordContext && !this.recordPhoneNumbers.length) {
+            return null;
+        }
+
+        this.isTranscriptSearchLimited = false;
+        if (hasTranscriptFilter(this.filters)) {
+            return this.fetchTranscriptMatchesPage();
+        }
+        return this.searchVoicemails(this.resolvedPageSize, this.currentPage);
+    }
+
+    searchVoicemails(pageSize, pageNumber) {
+        const searchBody = buildVoicemailSearchBody({
+            filters: this.filters,
+            sort: this.activeSort,
+            pageSize,
+            pageNumber,
+            callerNumbers: this.isRecordContext ? this.recordPhoneNumbers : null
+        });
+        return withAccessToken((accessToken) =>
+            callGenesysCloudApi('/api/v2/voicemail/search', 'POST', searchBody, accessToken, this.genesysCloudRegion, { idempotent: true })
+        );
+    }
+
+    /**
+     * The search cannot filter on transcripts, so every search page is read and the matches are paged here.
+     * Page counts then follow the matches, and no page is left empty while a later one has matches.
+     */
+    async fetchTranscriptMatchesPage() {
+        const matches = [];
+        let searchPage = 0;
+        let searchPageCount = 1;
+        while (searchPage < searchPageCount && searchPage < TRANSCRIPT_SEARCH_MAX_PAGES) {
+            searchPage++;
+            // eslint-disable-next-line no-await-in-loop
+            const response = await this.searchVoicemails(MAX_PAGE_SIZE, searchPage);
+            if (!response || !response.results) break;
+            matches.push(...response.results.filter(vm => matchesTranscriptFilter(vm, this.filters)));
+            searchPageCount = response.pageCount || 0;
+        }
+        this.isTranscriptSearchLimited = searchPage < searchPageCount;
+
+        const start = (this.currentPage - 1) * this.resolvedPageSize;
+        return {
+            results: matches.slice(start, start + this.resolvedPageSize),
+            pageCount: Math.ceil(matches.length / this.resolvedPageSize)
+        };
+    }
+
+    handleMailboxChange(event) {
+        this.commitPendingDelete();
+        this.selectedMailboxValue = event.detail.value;
+        this.voicemails = [];
+        this.bulkResultMessage = null;
+        this.workQueueCurrentId = null;
+        if (!this.isPersonalMailbox) {
+            this.showFilters = false;
+        }
+        this.applyFilters();
+    }
+
     handleNextPage() {
         if (this.hasNextPage) {
+            this.cancelAudioPrefetch();
             this.currentPage++;
             this.loadVoicemails(true);
         }
     }
 
     handlePreviousPage() {
-        if (this.currentPage > 1) {
+        if (this.hasPreviousPage) {
+            this.cancelAudioPrefetch();
             this.currentPage--;
             this.loadVoicemails(true);
         }
     }
 
+    /**
+     * Appends the next page to the list in scroll mode.
+     * The result is dropped when the list was reloaded while the page was loading.
+     */
+    async loadMoreVoicemails() {
+        if (!this.isScrollMode || !this.hasNextPage || this.isLoadingMore || this.isLoading) return;
+
+        const requestId = this.listRequestId;
+        this.isLoadingMore = true;
+        this.currentPage++;
+
+        try {
+            const voicemailsResponse = await this.fetchVoicemailPage();
+            if (requestId !== this.listRequestId) return;
+
+            const loadedIds = new Set(this.voicemails.map(vm => vm.id));
+            const nextVoicemails = ((voicemailsResponse && voicemailsResponse.results) || [])
+                .filter(vm => !vm.deleted && !loadedIds.has(vm.id) && vm.id !== this.pendingDelete?.voicemail.id)
+                .map(vm => this.mapVoicemailData(vm));
+
+            this.voicemails = [...this.voicemails, ...nextVoicemails];
+            this.pageCount = voicemailsResponse?.pageCount || this.pageCount;
+            this.displayCount = this.voicemails.length;
+            this.hasVoicemail = this.voicemails.length > 0;
+            this.updateUtilityBar();
+
+            if (this.workQueueEnabled) {
+                this.openNextInWorkQueue();
+            }
+            this.prefetchAudio();
+            this.matchCallers();
+        } catch (error) {
+            if (requestId === this.listRequestId) {
+                this.currentPage--;
+                this.errorMessage = error.message || 'An error occurred while retrieving voicemails';
+            }
+            console.error('Voicemail retrieval error:', error);
+        } finally {
+            if (requestId === this.listRequestId) {
+                this.isLoadingMore = false;
+            }
+        }
+    }
+
+    handleLoadMore() {
+        this.loadMoreVoicemails();
+    }
+
+    handleListScroll(event) {
+        if (!this.isScrollMode) return;
+
+        const list = event.target;
+        this.listViewportHeight = list.clientHeight;
+        if (this.isVirtualized) {
+            const firstVisible = Math.floor(list.scrollTop / this.averageCardHeight);
+            const virtualStart = Math.max(0, firstVisible - VIRTUAL_OVERSCAN);
+            if (virtualStart !== this.virtualStart) {
+                this.virtualStart = virtualStart;
+            }
+        }
+
+        if (list.scrollTop + list.clientHeight >= list.scrollHeight - LOAD_MORE_THRESHOLD_PX) {
+            this.loadMoreVoicemails();
+        }
+    }
+
+    resetListScroll() {
+        this.virtualStart = 0;
+        this.isLoadingMore = false;
+        const list = this.template.querySelector('.voicemail-list');
+        if (list) {
+            list.scrollTop = 0;
+        }
+    }
+
+    // Spacer heights use the average height of the cards rendered so far
+    measureCardHeight() {
+        const cards = this.template.querySelectorAll('.voicemail-list [data-card-id]');
+        let totalHeight = 0;
+        let measured = 0;
+        cards.forEach((card) => {
+            if (card.offsetHeight) {
+                totalHeight += card.offsetHeight;
+                measured++;
+            }
+        });
+        if (measured) {
+            this.averageCardHeight = Math.round(totalHeight / measured);
+        }
+    }
+
+    handleToggleFilters() {
+        this.showFilters = !this.showFilters;
+    }
+
+    handleFilterChange(event) {
+        const field = event.target.dataset.field;
+        this.filters = { ...this.filters, [field]: event.detail.value || (field.endsWith('Date') ? null : '') };
+
+        // Free-text filters wait for the agent to stop typing before searching
+        clearTimeout(this.filterInputTimeout);
+        if (field === 'caller' || field === 'note' || field === 'transcript') {
+            // eslint-disable-next-line @lwc/lwc/no-async-operation
+            this.filterInputTimeout = setTimeout(() => this.applyFilters(), FILTER_INPUT_DELAY_MS);
+        } else {
+            this.applyFilters();
+        }
+    }
+
+    handleClearFilters() {
+        clearTimeout(this.filterInputTimeout);
+        this.filters = createEmptyFilters();
+        this.applyFilters();
+    }
+
+    handleSortChange(event) {
+        this.sort = { ...this.sort, sortBy: event.detail.value };
+        this.applyFilters();
+    }
+
+    handleSortDirectionToggle() {
+        const sortOrder = this.sort.sortOrder === SORT_ORDER_ASC ? SORT_ORDER_DESC : SORT_ORDER_ASC;
+        this.sort = { ...this.sort, sortOrder };
+        this.applyFilters();
+    }
+
+    handleWorkQueueToggle(event) {
+        this.workQueueEnabled = event.detail.checked;
+        this.workQueueCurrentId = null;
+        this.applyFilters();
+    }
+
+    applyFilters() {
+        this.cancelAudioPrefetch();
+        this.currentPage = 1;
+        this.loadVoicemails(true);
+    }
+
+    /**
+     * Keeps the oldest unread voicemail open while work queue mode is on,
+     * moving on to the next page when everything on this one has been handled
+     */
+    async openNextInWorkQueue() {
+        const current = this.voicemails.find(vm => vm.id === this.workQueueCurrentId);
+        if (current && !current.read) {
+            if (!current.isExpanded) {
+                await this.setExpanded(current.id, true);
+            }
+            return;
+        }
+
+        const next = this.voicemails.find(vm => !vm.read);
+        if (next) {
+            this.workQueueCurrentId = next.id;
+            await this.setExpanded(next.id, true);
+            return;
+        }
+
+        this.workQueueCurrentId = null;
+        if (this.isScrollMode) {
+            this.loadMoreVoicemails();
+        } else if (this.hasNextPage) {
+            this.currentPage++;
+            this.loadVoicemails(true);
+        }
+    }
+
+    advanceWorkQueue(voicemailId) {
+        if (!this.workQueueEnabled || voicemailId !== this.workQueueCurrentId) return;
+        if (this.voicemails.some(vm => vm.id === voicemailId)) {
+            this.setExpanded(voicemailId, false);
+        }
+        this.workQueueCurrentId = null;
+        this.openNextInWorkQueue();
+    }
+
+    handleSelectVoicemail(event) {
+        const voicemailId = event.target.dataset.id;
+        const voicemailIndex = this.voicemails.findIndex(vm => vm.id === voicemailId);
+        if (voicemailIndex === -1) return;
+        this.voicemails[voicemailIndex].isSelected = event.target.checked;
+        this.voicemails = [...this.voicemails];
+    }
+
+    handleSelectAll(event) {
+        const isSelected = event.target.checked;
+        this.voicemails = this.voicemails.map(vm => ({ ...vm, isSelected }));
+    }
+
+    handleBulkMarkRead() {
+        this.runBulkAction({ read: true }, 'marked as read');
+    }
+
+    handleBulkMarkUnread() {
+        this.runBulkAction({ read: false }, 'marked as unread');
+    }
+
+    /**
+     * Bulk deletes are sent straight away rather than held for Undo: the undo window holds a single
+     * voicemail, and selecting the cards first (plus the optional confirmation) already makes the action deliberate.
+     */
+    async handleBulkDelete() {
+        if (this.confirmBeforeDelete && !(await this.confirmDeletion(this.selectedCount))) return;
+        this.runBulkAction({ deleted: true }, 'deleted');
+    }
+
+    handleDismissBulkResult() {
+        this.bulkResultMessage = null;
+    }
+
+    /**
+     * Applies one update to every selected voicemail, optimistically and all at once,
+     * then sends the PATCHes a few at a time. Failed items are rolled back, stay selected
+     * and show their own card error so the agent can retry them.
+     */
+    async runBulkAction(updates, actionLabel) {
+        const voicemailIds = this.selectedVoicemails.map(vm => vm.id);
+        if (!voicemailIds.length || this.isBulkRunning) return;
+
+        this.isBulkRunning = true;
+        this.bulkResultMessage = null;
+
+        try {
+            const snapshots = new Map(this.selectedVoicemails.map(vm => [vm.id, { ...vm }]));
+            const rollbacks = new Map(voicemailIds.map(voicemailId =>
+                [voicemailId, this.applyOptimisticUpdate(voicemailId, updates)]
+            ));
+            const results = await mapWithConcurrency(voicemailIds, BULK_ACTION_CONCURRENCY, (voicemailId) =>
+                this.sendVoicemailUpdate(voicemailId, updates, rollbacks.get(voicemailId))
+            );
+            const succeededIds = results.filter(result => result.value === true).map(result => result.item);
+            const failedCount = voicemailIds.length - succeededIds.length;
+            const succeeded = succeededIds.map(voicemailId => snapshots.get(voicemailId));
+            this.autoLogHandledVoicemails(succeeded, updates);
+            this.publishUpdateEvents(succeeded, updates);
+
+            this.voicemails = this.voicemails.map(vm => ({
+                ...vm,
+                isSelected: vm.isSelected && !succeededIds.includes(vm.id)
+            }));
+
+            if (updates.deleted && succeededIds.length) {
+                if (!this.voicemails.length && this.currentPage > 1) {
+                    this.currentPage--;
+                }
+                this.loadVoicemails(false);
+            }
+
+            const noun = succeededIds.length === 1 ? 'voicemail' : 'voicemails';
+            this.bulkResultMessage = failedCount
+                ? `${succeededIds.length} ${noun} ${actionLabel}. ${failedCount} could not be updated.`
+                : `${succeededIds.length} ${noun} ${actionLabel}.`;
+            this.bulkResultVariant = failedCount ? 'warning' : 'success';
+        } finally {
+            this.isBulkRunning = false;
+        }
+    }
+
     handleMenuToggle(event) {
         event.stopPropagation();
         const voicemailId = event.currentTarget.dataset.id;
@@ -257,23 +905,30 @@ export default class VoicemailViewer extends LightningElement {
     async handleCardClick(event) {
         event.stopPropagation();
         const voicemailId = event.currentTarget.dataset.id;
+        const voicemail = this.voicemails.find(vm => vm.id === voicemailId);
+        if (!voicemail) return;
+        await this.setExpanded(voicemailId, !voicemail.isExpanded);
+    }
+
+    async setExpanded(voicemailId, isExpanded) {
         const voicemailIndex = this.voicemails.findIndex(vm => vm.id === voicemailId);
         if (voicemailIndex === -1) return;
 
         this.voicemails = this.voicemails.map(vm => ({ ...vm, showMenu: false }));
-        this.voicemails[voicemailIndex].isExpanded = !this.voicemails[voicemailIndex].isExpanded;
+        this.voicemails[voicemailIndex].isExpanded = isExpanded;
         this.voicemails[voicemailIndex].cardClass = getCardClass(
             this.voicemails[voicemailIndex].read,
-            this.voicemails[voicemailIndex].isExpanded
+            isExpanded
         );
 
-        if (!this.voicemails[voicemailIndex].isExpanded) {
+        if (!isExpanded) {
             this.voicemails[voicemailIndex].isEditing = false;
             this.voicemails[voicemailIndex].note = this.voicemails[voicemailIndex].originalNote;
+            this.voicemails[voicemailIndex].mediaRetried = false;
         } else {
-            if (!this.voicemails[voicemailIndex].audioUrl) {
-                await this.loadVoicemailAudio(voicemailId);
-            }
+            this.publishVoicemailEvent(VOICEMAIL_MESSAGE_SELECTED, this.voicemails[voicemailIndex]);
+            // The card may still hold a URL that has expired since it was last opened
+            await this.loadVoicemailAudio(voicemailId);
         }
         this.voicemails = [...this.voicemails];
     }
@@ -296,8 +951,9 @@ export default class VoicemailViewer extends LightningElement {
         const voicemailIndex = this.voicemails.findIndex(vm => vm.id === voicemailId);
         if (voicemailIndex === -1) return;
 
-        if (this.loadedAudioUrls.has(voicemailId)) {
-            this.voicemails[voicemailIndex].audioUrl = this.loadedAudioUrls.get(voicemailId);
+        const cachedUrl = this.mediaUrlCache.get(voicemailId);
+        if (cachedUrl) {
+            this.voicemails[voicemailIndex].audioUrl = cachedUrl;
             return;
         }
 
@@ -305,21 +961,7 @@ export default class VoicemailViewer extends LightningElement {
             this.voicemails[voicemailIndex].isLoading = true;
             this.voicemails = [...this.voicemails];
 
-            const accessToken = getAccessToken();
-            const mediaResponse = await callGenesysCloudApi(
-                `/api/v2/voicemail/messages/${voicemailId}/media?formatId=WAV`,
-                'GET',
-                null,
-                accessToken,
-                this.genesysCloudRegion
-            );
-
-            if (mediaResponse && mediaResponse.mediaFileUri) {
-                this.voicemails[voicemailIndex].audioUrl = mediaResponse.mediaFileUri;
-                this.loadedAudioUrls.set(voicemailId, mediaResponse.mediaFileUri);
-            } else {
-                throw new Error('Failed to retrieve voicemail audio');
-            }
+            this.voicemails[voicemailIndex].audioUrl = await this.fetchMediaUrl(voicemailId);
         } catch (error) {
             this.errorMessage = `Failed to load audio: ${error.message}`;
         } finally {
@@ -328,9 +970,74 @@ export default class VoicemailViewer extends LightningElement {
         }
     }
 
+    async fetchMediaUrl(voicemailId, signal) {
+        const mediaResponse = await withAccessToken((accessToken) => callGenesysCloudApi(
+            getMediaEndpoint(voicemailId, this.mediaFormatId),
+            'GET',
+            null,
+            accessToken,
+            this.genesysCloudRegion,
+            { signal }
+        ));
+
+        if (!mediaResponse || !mediaResponse.mediaFileUri) {
+            throw new Error('Failed to retrieve voicemail audio');
+        }
+        this.mediaUrlCache.set(voicemailId, mediaResponse.mediaFileUri);
+        return mediaResponse.mediaFileUri;
+    }
+
+    /**
+     * Fetches media URLs for the next few unread voicemails on the page in the background,
+     * so expanding them plays straight away. A new run cancels the previous one.
+     */
+    async prefetchAudio() {
+        this.cancelAudioPrefetch();
+        if (this.disableAudioPrefetch) return;
+
+        const candidates = this.voicemails
+            .filter(vm => !vm.read && !vm.audioUrl && !this.mediaUrlCache.get(vm.id))
+            .slice(0, PREFETCH_COUNT)
+            .map(vm => vm.id);
+        if (!candidates.length) return;
+
+        const controller = new AbortController();
+        this.prefetchController = controller;
+        await mapWithConcurrency(candidates, PREFETCH_CONCURRENCY, (voicemailId) => (
+            controller.signal.aborted ? null : this.fetchMediaUrl(voicemailId, controller.signal)
+        ));
+        if (this.prefetchController === controller) {
+            this.prefetchController = null;
+        }
+    }
+
+    cancelAudioPrefetch() {
+        if (this.prefetchController) {
+            this.prefetchController.abort();
+            this.prefetchController = null;
+        }
+    }
+
+    // A media URL that fails to play has usually expired; fetch a fresh one once without bothering the agent
+    async handleAudioError(event) {
+        const voicemailId = event.target.dataset.id;
+        const voicemail = this.voicemails.find(vm => vm.id === voicemailId);
+        if (!voicemail) return;
+
+        this.mediaUrlCache.delete(voicemailId);
+        if (voicemail.mediaRetried) {
+            this.setCardError(voicemailId, 'This voicemail could not be played');
+            return;
+        }
+        voicemail.mediaRetried = true;
+        voicemail.audioUrl = null;
+        await this.loadVoicemailAudio(voicemailId);
+    }
+
     handleEditNote(event) {
         event.stopPropagation();
-        const voicemailId = event.target.dataset.id || event.detail.value;
+        const voicemailId = event.target.dataset.id;
+        if (!voicemailId) return;
         const voicemailIndex = this.voicemails.findIndex(vm => vm.id === voicemailId);
         if (voicemailIndex === -1) return;
         this.voicemails[voicemailIndex].isEditing = true;
@@ -341,7 +1048,7 @@ export default class VoicemailViewer extends LightningElement {
         const voicemailId = event.target.dataset.id;
         const voicemailIndex = this.voicemails.findIndex(vm => vm.id === voicemailId);
         if (voicemailIndex === -1) return;
-        this.voicemails[voicemailIndex].note = event.target.value;
+        this.voicemails[voicemailIndex].note = event.detail.value;
     }
 
     handleSaveNote(event) {
@@ -350,10 +1057,8 @@ export default class VoicemailViewer extends LightningElement {
         const voicemailIndex = this.voicemails.findIndex(vm => vm.id === voicemailId);
         if (voicemailIndex === -1) return;
         const note = this.voicemails[voicemailIndex].note;
-        this.updateVoicemail(voicemailId, { note });
-        this.voicemails[voicemailIndex].originalNote = note;
         this.voicemails[voicemailIndex].isEditing = false;
-        this.voicemails = [...this.voicemails];
+        this.updateVoicemail(voicemailId, { note });
     }
 
     handleCancelEdit(event) {
@@ -365,54 +1070,227 @@ export default class VoicemailViewer extends LightningElement {
         this.voicemails = [...this.voicemails];
     }
 
-    handleDelete(event) {
+    async handleDelete(event) {
         event.stopPropagation();
         const voicemailId = event.currentTarget.dataset.id;
         if (!voicemailId) return;
 
+        this.voicemails = this.voicemails.map(vm => ({ ...vm, showMenu: false }));
+        if (this.confirmBeforeDelete && !(await this.confirmDeletion(1))) return;
+
+        this.scheduleDelete(voicemailId);
+    }
+
+    async confirmDeletion(count) {
+        return LightningConfirm.open({
+            label: count === 1 ? 'Delete voicemail?' : `Delete ${count} voicemails?`,
+            message: 'Deleted voicemails are removed from Genesys Cloud.',
+            theme: 'warning'
+        });
+    }
+
+    /**
+     * Removes the card straight away but holds the PATCH for a short undo window.
+     * Only one delete is held at a time; starting another sends the previous one.
+     */
+    scheduleDelete(voicemailId) {
+        this.commitPendingDelete();
+
+        const index = this.voicemails.findIndex(vm => vm.id === voicemailId);
+        if (index === -1) return;
+
         const isLastPage = this.currentPage === this.pageCount;
         const isLastItemOnPage = this.voicemails.length === 1;
 
-        this.updateVoicemail(voicemailId, { deleted: true });
+        this.pendingDelete = {
+            voicemail: { ...this.voicemails[index], isExpanded: false, showMenu: false },
+            index,
+            page: this.currentPage,
+            // eslint-disable-next-line @lwc/lwc/no-async-operation
+            timeoutId: setTimeout(() => this.commitPendingDelete(), DELETE_UNDO_WINDOW_MS)
+        };
+        this.removeVoicemailLocally(voicemailId);
+
+        if (isLastPage && isLastItemOnPage && this.currentPage > 1) {
+            this.currentPage--;
+            this.loadVoicemails(true);
+        } else {
+            this.advanceWorkQueue(voicemailId);
+        }
+    }
+
+    async commitPendingDelete() {
+        const pending = this.pendingDelete;
+        if (!pending) return;
+
+        clearTimeout(pending.timeoutId);
+        this.pendingDelete = null;
+
+        const success = await this.updateVoicemail(pending.voicemail.id, { deleted: true }, pending.voicemail);
+        if (!success) {
+            this.restoreVoicemailLocally(pending);
+            this.setCardError(pending.voicemail.id, 'Delete failed. The voicemail was restored.');
+        }
+    }
+
+    handleUndoDelete() {
+        const pending = this.pendingDelete;
+        if (!pending) return;
+
+        clearTimeout(pending.timeoutId);
+        this.pendingDelete = null;
+        this.restoreVoicemailLocally(pending);
+    }
+
+    removeVoicemailLocally(voicemailId) {
         this.voicemails = this.voicemails.filter(vm => vm.id !== voicemailId);
         this.displayCount = this.voicemails.length;
+        this.hasVoicemail = this.voicemails.length > 0;
         this.updateUtilityBar();
+    }
 
-        if (isLastPage && isLastItemOnPage && this.currentPage > 1) {
-            this.currentPage--;
+    restoreVoicemailLocally({ voicemail, index, page }) {
+        // Scroll mode keeps every loaded page in the list, so the card can always go back in place
+        if (!this.isScrollMode && page !== this.currentPage) {
+            this.currentPage = page;
             this.loadVoicemails(true);
+            return;
         }
+
+        const voicemails = this.voicemails.filter(vm => vm.id !== voicemail.id);
+        voicemails.splice(Math.min(index, voicemails.length), 0, voicemail);
+        this.voicemails = voicemails;
+        this.displayCount = this.voicemails.length;
+        this.hasVoicemail = true;
+        this.updateUtilityBar();
     }
 
-    async updateVoicemail(voicemailId, updates) {
+    /**
+     * Every voicemail mutation goes through here: the change is shown at once,
+     * the card is flagged as saving, and the change is rolled back with a card error if the PATCH fails.
+     * Resolves to true when Genesys Cloud accepted the update.
+     */
+    async updateVoicemail(voicemailId, updates, voicemail = this.voicemails.find(vm => vm.id === voicemailId)) {
+        // Deleted cards leave the list before the PATCH, so auto-logging works from a copy
+        const snapshot = voicemail ? { ...voicemail } : null;
+        const rollback = this.applyOptimisticUpdate(voicemailId, updates);
+        const success = await this.sendVoicemailUpdate(voicemailId, updates, rollback);
+        if (success && snapshot) {
+            this.autoLogHandledVoicemails([snapshot], updates);
+            this.publishUpdateEvents([snapshot], updates);
+        }
+        return success;
+    }
+
+    applyOptimisticUpdate(voicemailId, updates) {
+        const voicemailIndex = this.voicemails.findIndex(vm => vm.id === voicemailId);
+        if (voicemailIndex === -1) return () => {};
+
+        const previous = { ...this.voicemails[voicemailIndex] };
+
+        if (updates.deleted) {
+            const page = this.currentPage;
+            this.removeVoicemailLocally(voicemailId);
+            this.advanceWorkQueue(voicemailId);
+            return () => this.restoreVoicemailLocally({ voicemail: previous, index: voicemailIndex, page });
+        }
+
+        const voicemail = this.voicemails[voicemailIndex];
+        if (updates.read !== undefined) {
+            this.applyReadState(voicemail, updates.read);
+        }
+        if (updates.note !== undefined) {
+            voicemail.note = updates.note;
+            voicemail.originalNote = updates.note;
+        }
+        voicemail.pendingUpdates = (voicemail.pendingUpdates || 0) + 1;
+        voicemail.isSaving = true;
+        voicemail.actionError = null;
+        this.voicemails = [...this.voicemails];
+        this.updateUtilityBar();
+
+        if (updates.read) {
+            this.advanceWorkQueue(voicemailId);
+        }
+
+        // Only undo fields that a later update has not already changed again
+        return () => {
+            const current = this.voicemails.find(vm => vm.id === voicemailId);
+            if (!current) return;
+            if (updates.read !== undefined && current.read === updates.read) {
+                this.applyReadState(current, previous.read);
+            }
+            if (updates.note !== undefined && current.originalNote === updates.note) {
+                current.originalNote = previous.originalNote;
+                current.note = updates.note;
+                current.isEditing = true;
+            }
+            this.voicemails = [...this.voicemails];
+            this.updateUtilityBar();
+        };
+    }
+
+    async sendVoicemailUpdate(voicemailId, updates, rollback) {
         try {
-            const accessToken = getAccessToken();
-            await callGenesysCloudApi(
+            await withAccessToken((accessToken) => callGenesysCloudApi(
                 `/api/v2/voicemail/messages/${voicemailId}`,
                 'PATCH',
                 updates,
                 accessToken,
                 this.genesysCloudRegion
-            );
-
-            const voicemailIndex = this.voicemails.findIndex(vm => vm.id === voicemailId);
-            if (voicemailIndex !== -1 && updates.read !== undefined) {
-                this.voicemails[voicemailIndex].read = updates.read;
-                this.voicemails[voicemailIndex].readMenuLabel = updates.read ? 'Mark as Unread' : 'Mark as Read';
-                this.voicemails[voicemailIndex].cardClass = getCardClass(updates.read, this.voicemails[voicemailIndex].isExpanded);
-                this.voicemails[voicemailIndex].callerClass = updates.read ? 'read-text' : 'unread-text';
-                this.voicemails = [...this.voicemails];
-                this.updateUtilityBar();
-            }
+            ));
+            this.finishCardUpdate(voicemailId, null);
+            this.shareVoicemailUpdate(voicemailId, updates);
+            return true;
         } catch (error) {
-            this.errorMessage = `Failed to update voicemail: ${error.message}`;
+            console.error('Voicemail update error:', error);
+            rollback();
+            this.finishCardUpdate(voicemailId, `${this.describeFailedUpdate(updates)}: ${error.message}`);
+            return false;
         }
     }
 
+    describeFailedUpdate(updates) {
+        if (updates.deleted) return 'Could not delete voicemail';
+        if (updates.note !== undefined) return 'Could not save note';
+        return updates.read ? 'Could not mark as read' : 'Could not mark as unread';
+    }
+
+    applyReadState(voicemail, read) {
+        voicemail.read = read;
+        voicemail.readMenuLabel = read ? 'Mark as Unread' : 'Mark as Read';
+        voicemail.cardClass = getCardClass(read, voicemail.isExpanded);
+        voicemail.callerClass = read ? 'read-text' : 'unread-text';
+    }
+
+    finishCardUpdate(voicemailId, actionError) {
+        const voicemailIndex = this.voicemails.findIndex(vm => vm.id === voicemailId);
+        if (voicemailIndex === -1) return;
+        const voicemail = this.voicemails[voicemailIndex];
+        voicemail.pendingUpdates = Math.max((voicemail.pendingUpdates || 0) - 1, 0);
+        voicemail.isSaving = voicemail.pendingUpdates > 0;
+        voicemail.actionError = actionError;
+        this.voicemails = [...this.voicemails];
+    }
+
+    setCardError(voicemailId, actionError) {
+        const voicemailIndex = this.voicemails.findIndex(vm => vm.id === voicemailId);
+        if (voicemailIndex === -1 || this.voicemails[voicemailIndex].actionError === actionError) return;
+        this.voicemails[voicemailIndex].actionError = actionError;
+        this.voicemails = [...this.voicemails];
+    }
+
     handleRefresh() {
         this.loadVoicemails(true);
     }
 
+    handleAudioPlaybackStart(event) {
+        const voicemail = this.voicemails.find(vm => vm.id === event.target.dataset.id);
+        if (voicemail) {
+            this.publishVoicemailEvent(VOICEMAIL_MESSAGE_PLAYED, voicemail);
+        }
+    }
+
     handleAudioEnded(event) {
         const voicemailId = event.target.dataset.id;
         const voicemail = this.voicemails.find(vm => vm.id === voicemailId);
@@ -421,6 +1299,204 @@ export default class VoicemailViewer extends LightningElement {
         }
     }
 
+    /**
+     * Looks up the callers on the list that have not been matched yet in one Apex call.
+     * Results, including misses, are cached so paging and refreshing reuse them.
+     */
+    async matchCallers() {
+        const phoneNumbers = [...new Set(this.voicemails.map(vm => vm.normalizedNumber))]
+            .filter(phoneNumber => phoneNumber &&
+                !this.callerMatches.has(phoneNumber) &&
+                !this.pendingCallerLookups.has(phoneNumber));
+        if (!phoneNumbers.length) return;
+
+        phoneNumbers.forEach(phoneNumber => this.pendingCallerLookups.add(phoneNumber));
+        try {
+            const matches = await findCallerMatches({ phoneNumbers, defaultCountryCode: this.defaultCountryCode }) || {};
+            phoneNumbers.forEach(phoneNumber => {
+                this.callerMatches.set(phoneNumber, createCallerMatch(matches[phoneNumber]));
+            });
+            this.voicemails = this.voicemails.map(vm => (
+                phoneNumbers.includes(vm.normalizedNumber)
+                    ? { ...vm, callerMatch: this.callerMatches.get(vm.normalizedNumber) }
+                    : vm
+            ));
+        } catch (error) {
+            // The card still shows the number, so a failed lookup is not worth interrupting the agent
+            console.error('Caller lookup error:', error);
+        } finally {
+            phoneNumbers.forEach(phoneNumber => this.pendingCallerLookups.delete(phoneNumber));
+        }
+    }
+
+    handleLogVoicemail(event) {
+        event.stopPropagation();
+        const voicemailId = event.currentTarget.dataset.id;
+        const voicemail = this.voicemails.find(vm => vm.id === voicemailId);
+        if (!voicemail) return;
+
+        voicemail.showMenu = false;
+        this.logVoicemails([voicemail]);
+    }
+
+    // Auto mode logs voicemails once they are marked read or deleted
+    autoLogHandledVoicemails(voicemails, updates) {
+        if (!this.autoLogVoicemails || !(updates.read === true || updates.deleted)) return;
+        this.logVoicemails(voicemails);
+    }
+
+    /**
+     * Creates or updates the Salesforce Task for each voicemail in one Apex call.
+     * Failures are shown on the cards that are still in the list.
+     */
+    async logVoicemails(voicemails) {
+        if (!voicemails.length) return;
+        const voicemailIds = voicemails.map(vm => vm.id);
+        this.setLoggingState(voicemailIds, { isLogging: true });
+
+        try {
+            const organizationId = await this.getOrganizationId();
+            await logVoicemailActivity({ voicemailLogs: voicemails.map(vm => this.buildVoicemailLog(vm, organizationId)) });
+            voicemailIds.forEach(voicemailId => this.loggedVoicemailIds.add(voicemailId));
+            this.setLoggingState(voicemailIds, { isLogging: false, isLogged: true, actionError: null });
+        } catch (error) {
+            console.error('Voicemail logging error:', error);
+            const message = error?.body?.message || error?.message || 'Unknown error';
+            this.setLoggingState(voicemailIds, { isLogging: false, actionError: `Could not log to Salesforce: ${message}` });
+        }
+    }
+
+    // The colon VendorCallKey layout starts with the organization id, so Apex needs it to find the VoiceCall.
+    // Logging goes ahead without it when it cannot be read.
+    getOrganizationId() {
+        if (!this.organizationIdRequest) {
+            this.organizationIdRequest = withAccessToken((accessToken) =>
+                callGenesysCloudApi('/api/v2/users/me?expand=organization', 'GET', null, accessToken, this.genesysCloudRegion)
+            ).then(
+                user => user?.organization?.id || null,
+                error => {
+                    console.error('Organization lookup error:', error);
+                    this.organizationIdRequest = null;
+                    return null;
+                }
+            );
+        }
+        return this.organizationIdRequest;
+    }
+
+    buildVoicemailLog(voicemail, organizationId) {
+        return {
+            voicemailId: voicemail.id,
+            conversationId: voicemail.conversation?.id || null,
+            organizationId: organizationId || null,
+            callerAddress: voicemail.callerAddress || null,
+            callerName: voicemail.callerMatch?.name || voicemail.callerName || null,
+            durationSeconds: voicemail.audioRecordingDurationSeconds ?? null,
+            createdDate: voicemail.createdDate || null,
+            note: voicemail.originalNote ?? voicemail.note ?? null,
+            transcript: voicemail.transcript || null,
+            matchedRecordId: voicemail.callerMatch?.recordId || null
+        };
+    }
+
+    setLoggingState(voicemailIds, state) {
+        this.voicemails = this.voicemails.map(vm => (voicemailIds.includes(vm.id) ? { ...vm, ...state } : vm));
+    }
+
+    handleOpenCallerRecord(event) {
+        this[NavigationMixin.Navigate]({
+            type: 'standard__recordPage',
+            attributes: {
+                recordId: event.detail.recordId,
+                objectApiName: event.detail.objectApiName,
+                actionName: 'view'
+            }
+        });
+    }
+
+    publishVoicemailEvent(type, voicemail) {
+        publish(this.messageContext, VOICEMAIL_EVENTS_CHANNEL, buildVoicemailEventMessage(type, voicemail));
+    }
+
+    // Reports confirmed updates on the message channel with the values that were saved
+    publishUpdateEvents(voicemails, updates) {
+        const types = getUpdateMessageTypes(updates);
+        voicemails.forEach(voicemail => {
+            types.forEach(type => this.publishVoicemailEvent(type, { ...voicemail, ...updates }));
+        });
+    }
+
+    handleVoicemailCommand(message) {
+        if (!message || !this.isAuthenticated) return;
+        if (message.command === VOICEMAIL_COMMAND_OPEN && message.voicemailId) {
+            this.openVoicemail(message.voicemailId);
+        } else if (message.command === VOICEMAIL_COMMAND_REFRESH) {
+            this.handleRefresh();
+        }
+    }
+
+    /**
+     * Expands a voicemail for another component. Voicemails that are not on the
+     * current page are fetched and shown at the top of the list.
+     */
+    async openVoicemail(voicemailId) {
+        const isListed = this.voicemails.some(vm => vm.id === voicemailId);
+        if (!isListed) {
+            try {
+                const voicemail = await withAccessToken((accessToken) =>
+                    callGenesysCloudApi(`/api/v2/voicemail/messages/${voicemailId}`, 'GET', null, accessToken, this.genesysCloudRegion)
+                );
+                if (!voicemail || voicemail.deleted) return;
+                this.voicemails = [this.mapVoicemailData(voicemail), ...this.voicemails];
+                this.displayCount = this.voicemails.length;
+                this.hasVoicemail = true;
+            } catch (error) {
+                console.error('Error opening voicemail:', error);
+                this.errorMessage = error.message || 'The voicemail could not be opened';
+                return;
+            }
+        }
+        await this.setExpanded(voicemailId, true);
+        this.revealVoicemail(voicemailId);
+        if (!isListed) {
+            this.matchCallers();
+        }
+    }
+
+    /**
+     * Scrolls a voicemail card into view, for example once the utility bar opens for a new voicemail.
+     * Cards outside a virtualized list are rendered first; voicemails not loaded yet are revealed after the next reload.
+     */
+    @api
+    async revealVoicemail(voicemailId) {
+        const index = this.voicemails.findIndex(vm => vm.id === voicemailId);
+        if (index === -1) {
+            this.pendingRevealId = voicemailId;
+            return;
+        }
+        this.pendingRevealId = null;
+
+        if (this.isVirtualized) {
+            this.virtualStart = Math.max(0, index - VIRTUAL_OVERSCAN);
+            await Promise.resolve();
+        }
+        const card = this.template.querySelector(`[data-card-id="${voicemailId}"]`);
+        if (card && card.scrollIntoView) {
+            card.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    // Lets the utility bar wrapper open or flash itself when a voicemail has just been left
+    announceNewVoicemail(event) {
+        if (!isNewVoicemailEvent(event) || this.announcedVoicemailIds.has(event.id)) return;
+        this.announcedVoicemailIds.add(event.id);
+        this.dispatchEvent(new CustomEvent('newvoicemail', {
+            detail: { voicemailId: event.id, callerAddress: event.voicemail.callerAddress || null },
+            bubbles: true,
+            composed: true
+        }));
+    }
+
     updateUtilityBar() {
         const unread = this.unreadCount;
         this.dispatchEvent(new CustomEvent('voicemailcount', {
@@ -438,42 +1514,161 @@ export default class VoicemailViewer extends LightningElement {
         }));
     }
 
-    async setupWebSocketNotifications() {
-        const accessToken = getAccessToken();
-        const result = await setupWebSocket(
-            accessToken,
-            this.genesysCloudRegion,
-            (message) => this.handleVoicemailNotification(message),
-            (isConnected) => { this.isWebSocketConnected = isConnected; }
-        );
+    // Every viewer in every tab shares one WebSocket; see subscribeToVoicemailNotifications
+    setupWebSocketNotifications() {
+        if (this.notificationSubscription) return;
+        this.notificationSubscription = subscribeToVoicemailNotifications({
+            region: this.genesysCloudRegion,
+            onMessage: (message) => this.handleVoicemailNotification(message),
+            onConnectionChange: (isConnected) => { this.isWebSocketConnected = isConnected; }
+        });
+    }
 
-        if (result) {
-            this.websocket = result.websocket;
-            this.channelId = result.channelId;
+    stopNotifications() {
+        if (this.notificationSubscription) {
+            this.notificationSubscription.unsubscribe();
+            this.notificationSubscription = null;
+        }
+        this.isWebSocketConnected = false;
+    }
 
-            this.websocket.onclose = (event) => {
-                console.log('WebSocket closed:', event.code, event.reason);
-                this.isWebSocketConnected = false;
-                setTimeout(() => {
-                    if (this.isAuthenticated) {
-                        console.log('Reconnecting WebSocket...');
-                        this.setupWebSocketNotifications();
-                    }
-                }, 5000);
-            };
+    // Other viewers apply the change straight away instead of waiting for the Genesys Cloud event
+    shareVoicemailUpdate(voicemailId, updates) {
+        if (this.notificationSubscription) {
+            this.notificationSubscription.publish({ eventBody: { id: voicemailId, ...updates } });
         }
     }
 
     handleVoicemailNotification(message) {
-        setTimeout(() => {
-            this.loadVoicemails(false);
-        }, 2000);
+        this.pendingNotifications.push(message);
+        clearTimeout(this.notificationTimeout);
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this.notificationTimeout = setTimeout(() => this.applyPendingNotifications(), NOTIFICATION_DEBOUNCE_MS);
     }
 
-    mapVoicemailData(vm) {
-        const existing = this.voicemails.find(v => v.id === vm.id);
+    /**
+     * Applies a burst of notification events straight to the list.
+     * Falls back to one full reload when any event cannot be applied locally.
+     */
+    applyPendingNotifications() {
+        const messages = this.pendingNotifications;
+        this.pendingNotifications = [];
+
+        for (const message of messages) {
+            const event = parseVoicemailNotification(message);
+            if (!event || !this.applyVoicemailEvent(event)) {
+                this.loadVoicemails(false);
+                return;
+            }
+        }
+        this.lastUpdated = `Last updated: ${new Date().toLocaleTimeString()}`;
+    }
+
+    // Returns false when the list has to be reloaded to reflect the event
+    applyVoicemailEvent(event) {
+        const isPendingDelete = this.pendingDelete?.voicemail.id === event.id;
+
+        if (event.type === VOICEMAIL_EVENT_DELETED) {
+            if (isPendingDelete) {
+                // Already deleted elsewhere, so there is nothing left to send or undo
+                clearTimeout(this.pendingDelete.timeoutId);
+                this.pendingDelete = null;
+                return true;
+            }
+            if (!this.voicemails.some(vm => vm.id === event.id)) return true;
+
+            this.removeVoicemailLocally(event.id);
+            this.advanceWorkQueue(event.id);
+            // Later pages have to shift up to fill the gap
+            return this.currentPage >= this.pageCount;
+        }
+
+        if (isPendingDelete) return true;
+
+        const voicemail = this.voicemails.find(vm => vm.id === event.id);
+        if (!voicemail) {
+            return this.applyUnlistedVoicemailEvent(event);
+        }
+        if (!Object.keys(event.changes).length) return false;
+
+        if (event.changes.read !== undefined) {
+            this.applyReadState(voicemail, event.changes.read);
+        }
+        if (event.changes.note !== undefined) {
+            voicemail.originalNote = event.changes.note;
+            if (!voicemail.isEditing) {
+                voicemail.note = event.changes.note;
+            }
+        }
+        if (event.changes.transcription !== undefined) {
+            voicemail.transcript = getTranscriptText(event.changes);
+            voicemail.transcriptSnippet = getTranscriptSnippet(voicemail.transcript);
+        }
+        this.voicemails = [...this.voicemails];
+        this.updateUtilityBar();
+        return true;
+    }
+
+    /**
+     * Changes to voicemails on other pages, including ones relayed from other viewers, leave this page as it is.
+     * Only a newly left voicemail, or a change an active filter depends on, can alter what the page shows.
+     */
+    applyUnlistedVoicemailEvent(event) {
+        // Notifications only cover the agent's own voicemail
+        if (!this.isPersonalMailbox) {
+            this.announceNewVoicemail(event);
+            return true;
+        }
+        if (isNewVoicemailEvent(event)) {
+            const applied = this.isFromRecordCaller(event.voicemail) ? this.insertVoicemail(event) : true;
+            this.announceNewVoicemail(event);
+            return applied;
+        }
+        return !(this.hasActiveFilters && filtersDependOnChanges(this.filters, event.changes));
+    }
+
+    // New voicemails can only be placed locally at the top of the unfiltered, newest-first first page
+    insertVoicemail(event) {
+        const newest = this.voicemails[0];
+        const canInsert = event.isComplete &&
+            (this.currentPage === 1 || this.isScrollMode) &&
+            !this.hasActiveFilters &&
+            this.activeSort.sortBy === SORT_BY_CREATED_TIME &&
+            this.activeSort.sortOrder === SORT_ORDER_DESC &&
+            (!newest || new Date(event.voicemail.createdDate) >= new Date(newest.createdDate));
+        if (!canInsert) return false;
+
+        const voicemails = [this.mapVoicemailData(event.voicemail), ...this.voicemails];
+        if (!this.isScrollMode && voicemails.length > this.resolvedPageSize) {
+            voicemails.pop();
+            this.pageCount = Math.max(this.pageCount, 2);
+        }
+        this.voicemails = voicemails;
+        this.pageCount = Math.max(this.pageCount, 1);
+        this.displayCount = this.voicemails.length;
+        this.hasVoicemail = true;
+        this.updateUtilityBar();
+        this.matchCallers();
+        return true;
+    }
+
+    isFromRecordCaller(voicemail) {
+        if (!this.isRecordContext) return true;
+        const number = normalizePhoneNumber(extractPhoneNumber(voicemail.callerAddress || ''), this.defaultCountryCode);
+        return (this.recordPhoneNumbers || []).includes(number);
+    }
+
+    mapVoicemailData(data) {
+        const existing = this.voicemails.find(v => v.id === data.id);
+        // Keep optimistic values for cards whose update has not finished yet
+        const vm = existing?.pendingUpdates
+            ? { ...data, read: existing.read, note: existing.originalNote }
+            : data;
         const callerAddress = vm.callerAddress || '';
         const isExpanded = existing?.isExpanded || false;
+        const transcript = getTranscriptText(vm);
+        const phoneNumber = extractPhoneNumber(callerAddress);
+        const normalizedNumber = normalizePhoneNumber(phoneNumber, this.defaultCountryCode);
         
         return {
             ...vm,
@@ -482,7 +1677,7 @@ export default class VoicemailViewer extends LightningElement {
             relativeTime: getRelativeTime(vm.createDate),
             isLoading: existing?.isLoading || false,
             audioUrl: existing?.audioUrl || null,
-            audioElementId: `audio-${vm.id}`,
+            mediaRetried: existing?.mediaRetried || false,
             read: vm.read || false,
             cardClass: getCardClass(vm.read, isExpanded),
             callerClass: vm.read ? 'read-text' : 'unread-text',
@@ -492,8 +1687,19 @@ export default class VoicemailViewer extends LightningElement {
             isExpanded: isExpanded,
             originalNote: vm.note || '',
             showMenu: false,
+            isSelected: existing?.isSelected || false,
+            actionError: existing?.actionError || null,
+            pendingUpdates: existing?.pendingUpdates || 0,
+            isSaving: existing?.isSaving || false,
+            isLogging: existing?.isLogging || false,
+            isLogged: this.loggedVoicemailIds.has(vm.id),
+            transcript,
+            transcriptSnippet: getTranscriptSnippet(transcript),
             fullCallerAddress: callerAddress.length > 15 ? callerAddress.substring(0, 15) + '...' : callerAddress,
-            phoneNumber: extractPhoneNumber(callerAddress)
+            phoneNumber,
+            normalizedNumber,
+            callerMatch: this.callerMatches.get(normalizedNumber) || null
         };
     }
 }
+